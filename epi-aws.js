@@ -31,41 +31,1274 @@
   module.exports = function(RED) {
     "use strict";
 
+    const fs = require("fs");
+    const path = require("path");
+    const stream = require("stream");
+    const util = require("util");
+    const { StringDecoder } = require("string_decoder");
+    const http = require("http");
+    const https = require("https");
+    const tls = require("tls");
+
+    const pipeline = util.promisify(stream.pipeline);
+
     // AWS SDK for JavaScript v3:
-    const { S3Client, GetObjectCommand, PutObjectCommand } = require("@aws-sdk/client-s3");
+    const {
+        S3Client, GetObjectCommand, PutObjectCommand, ListBucketsCommand, GetBucketLocationCommand, HeadBucketCommand,
+        CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+    } = require("@aws-sdk/client-s3");
+    const { STSClient, GetCallerIdentityCommand } = require("@aws-sdk/client-sts");
+    const { fromEnv, fromIni, fromNodeProviderChain, fromTemporaryCredentials } = require("@aws-sdk/credential-providers");
+    const { NodeHttpHandler } = require("@smithy/node-http-handler");
+    const { Hash } = require("@smithy/hash-node");
+    const { AwsCrc32 } = require("@aws-crypto/crc32");
+    const { AwsCrc32c } = require("@aws-crypto/crc32c");
+    const { HttpProxyAgent } = require("http-proxy-agent");
+    const { HttpsProxyAgent } = require("https-proxy-agent");
 
     // Constants
-    const MAX_DOWNLOAD_SIZE = 100 * 1024 * 1024; // 100MB for downloads
-    const MAX_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024; // 5GB for uploads (S3 single PUT limit)
+    const MAX_DOWNLOAD_SIZE = 100 * 1024 * 1024; // Default limit for downloads into memory (100MB)
+    const MAX_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024 * 1024; // 5TB for uploads (S3 object size limit)
+    const MIN_UPLOAD_PART_SIZE = 5 * 1024 * 1024; // S3 minimum for all but the last part
+    const MAX_UPLOAD_PARTS = 10000; // S3 limit for multipart uploads
+    const MAX_METADATA_SIZE = 2 * 1024; // S3 limit for user-defined metadata, keys and values in UTF-8
+    const MAX_TAGS = 10; // S3 limits for object tags
+    const MAX_TAG_KEY_LENGTH = 128;
+    const MAX_TAG_VALUE_LENGTH = 256;
     const DEFAULT_REGION = "us-east-1";
+    const AUTO_REGION = "auto"; // Node region setting: discover the region of each bucket
+    const DESTINATIONS = ["payload", "file", "split"];
+    const AFTER_UPLOAD_ACTIONS = ["keep", "delete", "move"]; // What to do with a local file once uploaded
+    const ENCRYPTION_MODES = ["", "AES256", "aws:kms", "sse-c"]; // Upload encryption; "" leaves it to the bucket
+    const STORAGE_CLASSES = [
+        "STANDARD", "INTELLIGENT_TIERING", "STANDARD_IA", "ONEZONE_IA", "GLACIER_IR", "GLACIER", "DEEP_ARCHIVE"
+    ];
+    const SPLIT_MODES = ["lines", "records", "bytes"];
+    const DEFAULT_SPLIT_RECORDS = 100; // Lines per message when splitting by records
+    const DEFAULT_SPLIT_BYTES = 64 * 1024; // Bytes per message when splitting by size
+    const DEFAULT_PART_SIZE = 8 * 1024 * 1024; // Range size for parallel downloads
+    const DEFAULT_CONCURRENCY = 4; // Ranges fetched at once for parallel downloads
+    const MAX_PART_ATTEMPTS = 3; // Tries per range, on top of the client's own retries
+    const MAX_TRACKED_ETAGS = 1000; // ETags a download node remembers, the least recently used are dropped
+    const CHECKSUM_MODES = ["none", "warn", "fail"];
+    // Checksums the node computes, in the order it picks them if S3 has several. There
+    // is no JavaScript CRC64NVME, so those objects fall back to the MD5 ETag.
+    const CHECKSUM_HASHES = {
+        SHA256: () => new Hash("sha256"),
+        SHA1: () => new Hash("sha1"),
+        CRC32: () => new AwsCrc32(),
+        CRC32C: () => new AwsCrc32c()
+    };
+    const FORMATS = ["buffer", "string", "json", "base64", "auto"];
+    const ENCODINGS = ["utf8", "latin1", "ascii", "utf16le", "hex"];
     const PROGRESS_UPDATE_INTERVAL = 1024 * 1024; // Update progress every 1MB
+    const CREDENTIAL_SOURCES = ["static", "env", "profile", "chain"];
+    const DEFAULT_ROLE_SESSION_NAME = "node-red-epi-aws-s3";
+    const DEFAULT_ROLE_DURATION = 3600; // seconds
+    const MIN_ROLE_DURATION = 900; // STS minimum
+    const MAX_ROLE_DURATION = 43200; // STS maximum
+    const CREDENTIAL_REFRESH_WINDOW = 5 * 60 * 1000; // Refresh temporary credentials 5 minutes before expiry
+    const DEFAULT_MAX_SOCKETS = 50; // Per host, shared by all nodes using a config node
+    const RETRY_MODES = ["standard", "adaptive"];
+    const DEFAULT_MAX_ATTEMPTS = 3; // AWS SDK default: the first attempt plus two retries
+
+    /**
+     * Create the credentials for a credential source.
+     * Returns a plain object for static keys, a credential provider for the other
+     * sources, or null if the static keys are incomplete.
+     */
+    function createCredentials(source, credentials, profile) {
+        switch (source) {
+            case "env":
+                return fromEnv();
+            case "profile":
+                return fromIni(profile ? { profile: profile } : {});
+            case "chain":
+                return fromNodeProviderChain();
+            default:
+                if (credentials && credentials.accesskeyid && credentials.secretaccesskey) {
+                    const staticCredentials = {
+                        accessKeyId: credentials.accesskeyid,
+                        secretAccessKey: credentials.secretaccesskey
+                    };
+                    if (credentials.sessiontoken) {
+                        staticCredentials.sessionToken = credentials.sessiontoken;
+                    }
+                    return staticCredentials;
+                }
+                return null;
+        }
+    }
+
+    /**
+     * Wrap a credential provider so that all clients of a config node share one set of
+     * temporary credentials, refreshed shortly before they expire.
+     */
+    function refreshingProvider(provider) {
+        let current = null;
+        let pending = null;
+
+        return function(identityProperties) {
+            if (current && (!current.expiration ||
+                current.expiration.getTime() - Date.now() > CREDENTIAL_REFRESH_WINDOW)) {
+                return Promise.resolve(current);
+            }
+            if (!pending) {
+                pending = Promise.resolve(provider(identityProperties)).then(function(credentials) {
+                    current = credentials;
+                    pending = null;
+                    return credentials;
+                }, function(err) {
+                    pending = null;
+                    throw err;
+                });
+            }
+            return pending;
+        };
+    }
+
+    /**
+     * Create a provider that assumes an IAM role on top of the base credentials.
+     */
+    function assumeRole(baseCredentials, role) {
+        const params = {
+            RoleArn: role.roleArn,
+            RoleSessionName: role.roleSessionName || DEFAULT_ROLE_SESSION_NAME,
+            DurationSeconds: role.roleDuration
+        };
+        if (role.externalId) {
+            params.ExternalId = role.externalId;
+        }
+
+        return refreshingProvider(fromTemporaryCredentials({
+            masterCredentials: baseCredentials,
+            params: params
+        }));
+    }
+
+    /**
+     * Create the credentials (or credential provider) for a config, assuming its
+     * role on top of the base credentials if one is set. Providers are cached until
+     * their credentials expire, as the SDK would do for each client.
+     */
+    function buildCredentials(config, credentials, source) {
+        let awsCredentials = createCredentials(source || config.credentialSource, credentials, config.profile);
+        if (awsCredentials && config.roleArn) {
+            awsCredentials = assumeRole(awsCredentials, config);
+        } else if (typeof awsCredentials === "function") {
+            awsCredentials = refreshingProvider(awsCredentials);
+        }
+        return awsCredentials;
+    }
+
+    /**
+     * HttpsProxyAgent only applies its constructor options to the connection to the proxy.
+     * This passes the TLS options (CA bundle, self-signed) on to the tunnelled S3 connection too.
+     */
+    class TlsHttpsProxyAgent extends HttpsProxyAgent {
+        constructor(proxy, options, tlsOptions) {
+            super(proxy, options);
+            this.tlsOptions = tlsOptions;
+        }
+
+        connect(req, opts) {
+            return super.connect(req, Object.assign({}, opts, this.tlsOptions));
+        }
+    }
+
+    /**
+     * Check whether a host is excluded from proxying by a NO_PROXY style list
+     * (comma separated host names or domain suffixes, or "*" for all hosts).
+     */
+    function isNoProxyHost(host, noProxy) {
+        host = host.toLowerCase();
+        return noProxy.split(/[\s,]+/).filter(Boolean).some(function(entry) {
+            if (entry === "*") {
+                return true;
+            }
+            entry = entry.toLowerCase().replace(/:\d+$/, "").replace(/^\*?\./, "");
+            return host === entry || host.endsWith("." + entry);
+        });
+    }
+
+    /**
+     * Find the proxy for requests to a URL: the config's proxy, otherwise HTTPS_PROXY or
+     * HTTP_PROXY from the environment. Returns null if no proxy applies.
+     */
+    function getProxyUrl(config, target) {
+        const env = process.env;
+        let proxyUrl = config.proxyUrl;
+        if (!proxyUrl) {
+            proxyUrl = (target.protocol === "https:" && (env.HTTPS_PROXY || env.https_proxy)) ||
+                env.HTTP_PROXY || env.http_proxy || "";
+        }
+        const noProxy = [config.noProxy, env.NO_PROXY, env.no_proxy].filter(Boolean).join(",");
+        if (!proxyUrl || isNoProxyHost(target.hostname, noProxy)) {
+            return null;
+        }
+
+        let url;
+        try {
+            url = new URL(proxyUrl);
+        } catch (err) {
+            url = null;
+        }
+        if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) {
+            throw new Error(RED._("aws.error.invalid-proxy", { proxy: proxyUrl }));
+        }
+        if (config.proxyUsername) {
+            url.username = config.proxyUsername;
+            url.password = config.proxyPassword || "";
+        }
+        return url;
+    }
+
+    /**
+     * Normalize the settings of a config node, from its definition or its edit dialog.
+     * Proxy credentials are included so connections can be built from the settings alone.
+     */
+    function parseConfig(n, credentials) {
+        credentials = credentials || {};
+        return {
+            endpoint: (n.endpoint || "").trim(),
+            forcePathStyle: n.forcePathStyle === true,
+            caFile: (n.caFile || "").trim(),
+            allowSelfSigned: n.allowSelfSigned === true,
+            keepAlive: n.keepAlive !== false,
+            maxSockets: parseInt(n.maxSockets, 10) > 0 ? parseInt(n.maxSockets, 10) : DEFAULT_MAX_SOCKETS,
+            credentialSource: CREDENTIAL_SOURCES.includes(n.credentialSource) ? n.credentialSource : "static",
+            profile: (n.profile || "").trim(),
+            roleArn: (n.roleArn || "").trim(),
+            externalId: (n.externalId || "").trim(),
+            roleSessionName: (n.roleSessionName || "").trim() || DEFAULT_ROLE_SESSION_NAME,
+            roleDuration: Math.min(MAX_ROLE_DURATION,
+                Math.max(MIN_ROLE_DURATION, parseInt(n.roleDuration, 10) || DEFAULT_ROLE_DURATION)),
+            retryMode: RETRY_MODES.includes(n.retryMode) ? n.retryMode : "standard",
+            maxAttempts: parseInt(n.maxAttempts, 10) > 0 ? parseInt(n.maxAttempts, 10) : DEFAULT_MAX_ATTEMPTS,
+            connectionTimeout: parseInt(n.connectionTimeout, 10) > 0 ? parseInt(n.connectionTimeout, 10) : 0,
+            requestTimeout: parseInt(n.requestTimeout, 10) > 0 ? parseInt(n.requestTimeout, 10) : 0,
+            proxyUrl: (n.proxyUrl || "").trim(),
+            noProxy: (n.noProxy || "").trim(),
+            proxyUsername: credentials.proxyusername || "",
+            proxyPassword: credentials.proxypassword || ""
+        };
+    }
+
+    /**
+     * Build the client configuration for a region, applying the custom endpoint,
+     * TLS, proxy and connection pool settings of a config.
+     */
+    function createClientConfig(config, credentials, region) {
+        const clientConfig = {
+            region: region,
+            credentials: credentials,
+            retryMode: config.retryMode,
+            maxAttempts: config.maxAttempts,
+            // Only check response checksums when a node asks S3 for them with ChecksumMode
+            responseChecksumValidation: "WHEN_REQUIRED"
+        };
+
+        let target = new URL("https://s3." + region + ".amazonaws.com");
+        if (config.endpoint) {
+            let url;
+            try {
+                url = new URL(config.endpoint);
+            } catch (err) {
+                url = null;
+            }
+            if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) {
+                throw new Error(RED._("aws.error.invalid-endpoint", { endpoint: config.endpoint }));
+            }
+            clientConfig.endpoint = config.endpoint;
+            target = url;
+        }
+
+        if (config.forcePathStyle) {
+            clientConfig.forcePathStyle = true;
+        }
+
+        const agentOptions = {
+            keepAlive: config.keepAlive,
+            maxSockets: config.maxSockets
+        };
+        const tlsOptions = { rejectUnauthorized: !config.allowSelfSigned };
+        if (config.caFile) {
+            // The bundle adds to the Node.js root certificates rather than replacing them
+            try {
+                tlsOptions.ca = tls.rootCertificates.concat(fs.readFileSync(config.caFile, "utf8"));
+            } catch (err) {
+                throw new Error(RED._("aws.error.ca-file-read-failed", { file: config.caFile, err: err.message }));
+            }
+        }
+
+        const handlerOptions = { throwOnRequestTimeout: true };
+        if (config.connectionTimeout) {
+            handlerOptions.connectionTimeout = config.connectionTimeout;
+        }
+        if (config.requestTimeout) {
+            handlerOptions.requestTimeout = config.requestTimeout;
+        }
+
+        const proxy = getProxyUrl(config, target);
+        if (proxy) {
+            handlerOptions.httpAgent = new HttpProxyAgent(proxy, Object.assign({}, agentOptions, tlsOptions));
+            handlerOptions.httpsAgent = new TlsHttpsProxyAgent(proxy, Object.assign({}, agentOptions, tlsOptions), tlsOptions);
+        } else {
+            handlerOptions.httpAgent = new http.Agent(agentOptions);
+            handlerOptions.httpsAgent = new https.Agent(Object.assign({}, agentOptions, tlsOptions));
+        }
+        clientConfig.requestHandler = new NodeHttpHandler(handlerOptions);
+
+        return clientConfig;
+    }
+
+    /**
+     * Map a GetBucketLocation LocationConstraint to a region name. Buckets in
+     * us-east-1 have no location constraint, and "EU" is the legacy name of eu-west-1.
+     */
+    function bucketLocationRegion(constraint) {
+        if (!constraint) {
+            return "us-east-1";
+        }
+        return constraint === "EU" ? "eu-west-1" : constraint;
+    }
+
+    /**
+     * The region S3 says a bucket is in, from an error for a request sent to the
+     * wrong region: the x-amz-bucket-region header of a redirect, or the Region of
+     * an AuthorizationHeaderMalformed error. Empty if the error does not say.
+     */
+    function redirectRegion(err) {
+        const headers = err && err.$response && err.$response.headers;
+        return (headers && headers["x-amz-bucket-region"]) || (err && err.Region) || "";
+    }
+
+    /**
+     * EpiAWSNode is the config node that holds credentials and connection settings.
+     */
+    function EpiAWSNode(n) {
+        RED.nodes.createNode(this, n);
+        this.name = n.name;
+        Object.assign(this, parseConfig(n, this.credentials));
+
+        const node = this;
+        // S3Clients shared by all nodes using this config node, keyed by region and endpoint
+        let clients = new Map();
+        // Regions of the buckets used by nodes with region "auto"
+        const bucketRegions = new Map();
+        // The last credentials passed to updateCredentials, to ignore repeats of them
+        let updatedCredentials = null;
+
+        // Save credentials (or a credential provider), so the pooled S3Clients can use them.
+        this.awsCredentials = buildCredentials(this, this.credentials);
+
+        // The pooled S3Clients look up node.awsCredentials for each request, so updates
+        // apply to them without replacing them. Marking the provider as memoized stops
+        // the SDK from caching the first credentials it returns.
+        const credentialProvider = function(identityProperties) {
+            const credentials = node.awsCredentials;
+            return typeof credentials === "function" ? credentials(identityProperties) : Promise.resolve(credentials);
+        };
+        credentialProvider.memoized = true;
+
+        /**
+         * Replace the base credentials at runtime, e.g. with temporary credentials from a
+         * credential-vending flow. Accepts SDK (accessKeyId) or STS (AccessKeyId) casing.
+         * The new credentials are kept in memory only and are lost on redeploy. The same
+         * credentials again are ignored, so flows can attach them to every message.
+         */
+        this.updateCredentials = function(credentials) {
+            credentials = credentials || {};
+            const accessKeyId = credentials.accessKeyId || credentials.AccessKeyId;
+            const secretAccessKey = credentials.secretAccessKey || credentials.SecretAccessKey;
+            const sessionToken = credentials.sessionToken || credentials.SessionToken;
+
+            if (typeof accessKeyId !== "string" || typeof secretAccessKey !== "string" ||
+                (sessionToken !== undefined && typeof sessionToken !== "string")) {
+                throw new Error(RED._("aws.error.invalid-credentials"));
+            }
+            if (updatedCredentials && updatedCredentials.accessKeyId === accessKeyId &&
+                updatedCredentials.secretAccessKey === secretAccessKey && updatedCredentials.sessionToken === sessionToken) {
+                return;
+            }
+            updatedCredentials = { accessKeyId: accessKeyId, secretAccessKey: secretAccessKey, sessionToken: sessionToken };
+
+            node.awsCredentials = buildCredentials(node, {
+                accesskeyid: accessKeyId,
+                secretaccesskey: secretAccessKey,
+                sessiontoken: sessionToken
+            }, "static");
+        };
+
+        /**
+         * Build the S3Client configuration for a region from this config node.
+         */
+        this.getClientConfig = function(region) {
+            return createClientConfig(node, credentialProvider, region);
+        };
+
+        /**
+         * Borrow the shared S3Client for a region, creating it on first use.
+         * Nodes must not destroy it: the config node does so when it is closed.
+         */
+        this.getClient = function(region) {
+            const key = region + "|" + node.endpoint;
+            let client = clients.get(key);
+            if (!client) {
+                client = new S3Client(node.getClientConfig(region));
+                clients.set(key, client);
+            }
+            return client;
+        };
+
+        /**
+         * Find the region of a bucket, for nodes with region "auto". HeadBucket reports
+         * it, also when redirected from another region; GetBucketLocation is the
+         * fallback. Regions are cached until the config node is redeployed.
+         */
+        this.getBucketRegion = async function(bucket) {
+            if (node.endpoint) {
+                return DEFAULT_REGION; // S3-compatible services have no bucket regions
+            }
+            if (bucketRegions.has(bucket)) {
+                return bucketRegions.get(bucket);
+            }
+
+            const client = node.getClient(DEFAULT_REGION);
+            let region;
+            try {
+                const response = await client.send(new HeadBucketCommand({ Bucket: bucket }));
+                region = response.BucketRegion;
+            } catch (err) {
+                region = redirectRegion(err);
+                if (!region && err.$metadata && err.$metadata.httpStatusCode === 404) {
+                    throw err;
+                }
+            }
+            if (!region) {
+                const location = await client.send(new GetBucketLocationCommand({ Bucket: bucket }));
+                region = bucketLocationRegion(location.LocationConstraint);
+            }
+
+            bucketRegions.set(bucket, region);
+            return region;
+        };
+
+        /**
+         * Correct the cached region of a bucket, e.g. after S3 redirected a request.
+         */
+        this.setBucketRegion = function(bucket, region) {
+            bucketRegions.set(bucket, region);
+        };
+
+        this.on("close", function(done) {
+            clients.forEach(function(client) { client.destroy(); });
+            clients = new Map();
+            done();
+        });
+    }
+
+    RED.nodes.registerType("epi-aws-config", EpiAWSNode, {
+        credentials: {
+            accesskeyid: { type: "password" },
+            secretaccesskey: { type: "password" },
+            sessiontoken: { type: "password" },
+            proxyusername: { type: "text" },
+            proxypassword: { type: "password" }
+        }
+    });
+
+    /**
+     * Build the config and credentials from a (possibly unsaved) config node edit dialog.
+     * Password fields that were not changed in the dialog fall back to the saved credentials.
+     */
+    function configFromRequest(id, body) {
+        body = body || {};
+        const saved = RED.nodes.getCredentials(id) || {};
+        const submitted = body.credentials || {};
+        const credentials = {};
+
+        ["accesskeyid", "secretaccesskey", "sessiontoken", "proxyusername", "proxypassword"].forEach(function(key) {
+            const value = submitted[key];
+            credentials[key] = (value === undefined || value === "__PWRD__") ? saved[key] : value;
+        });
+
+        const config = parseConfig(body, credentials);
+        return {
+            config: config,
+            awsCredentials: buildCredentials(config, credentials)
+        };
+    }
+
+    /**
+     * Map an error from a connection attempt to a short, user-facing category.
+     */
+    function classifyError(err) {
+        const name = err.name || err.Code || "";
+        const code = err.code || "";
+        const status = err.$metadata && err.$metadata.httpStatusCode;
+
+        if (/^(InvalidClientTokenId|InvalidAccessKeyId|SignatureDoesNotMatch|UnrecognizedClientException)$/.test(name)) {
+            return "invalid-credentials";
+        }
+        if (/^(ExpiredToken|ExpiredTokenException|RequestExpired|TokenRefreshRequired)$/.test(name)) {
+            return "expired-credentials";
+        }
+        if (name === "CredentialsProviderError") {
+            return "no-credentials";
+        }
+        if (/^(AccessDenied|AccessDeniedException)$/.test(name) || status === 403) {
+            return "access-denied";
+        }
+        if (/CERT|SELF_SIGNED|UNABLE_TO_VERIFY|UNABLE_TO_GET_ISSUER/.test(code)) {
+            return "tls-error";
+        }
+        if (/^(ENOTFOUND|EAI_AGAIN|ECONNREFUSED|ECONNRESET|ETIMEDOUT|EHOSTUNREACH|ENETUNREACH)$/.test(code) ||
+            name === "TimeoutError") {
+            return "network-error";
+        }
+        return "failed";
+    }
+
+    /**
+     * Throw a credentials error (classified as "no-credentials") if a config has none.
+     */
+    function requireCredentials(awsCredentials) {
+        if (!awsCredentials) {
+            const err = new Error(RED._("aws.warn.missing-credentials"));
+            err.name = "CredentialsProviderError";
+            throw err;
+        }
+    }
+
+    /**
+     * Check that a config can authenticate: STS GetCallerIdentity for AWS, or
+     * ListBuckets for custom endpoints, which usually have no STS.
+     */
+    async function verifyConnection(config, awsCredentials) {
+        requireCredentials(awsCredentials);
+
+        const clientConfig = createClientConfig(config, awsCredentials, DEFAULT_REGION);
+
+        if (config.endpoint) {
+            const s3Client = new S3Client(clientConfig);
+            try {
+                const response = await s3Client.send(new ListBucketsCommand({}));
+                const owner = response.Owner || {};
+                return {
+                    endpoint: config.endpoint,
+                    owner: owner.DisplayName || owner.ID || "",
+                    buckets: (response.Buckets || []).length
+                };
+            } finally {
+                s3Client.destroy();
+            }
+        }
+
+        const stsClient = new STSClient({
+            region: clientConfig.region,
+            credentials: clientConfig.credentials,
+            requestHandler: clientConfig.requestHandler
+        });
+        try {
+            const response = await stsClient.send(new GetCallerIdentityCommand({}));
+            return {
+                account: response.Account,
+                arn: response.Arn,
+                userId: response.UserId
+            };
+        } finally {
+            stsClient.destroy();
+        }
+    }
+
+    /**
+     * List the buckets a config can reach, with their regions. Buckets listed
+     * without a region are looked up with GetBucketLocation; buckets on custom
+     * endpoints are returned without one.
+     */
+    async function listBuckets(config, awsCredentials) {
+        requireCredentials(awsCredentials);
+
+        const s3Client = new S3Client(createClientConfig(config, awsCredentials, DEFAULT_REGION));
+        try {
+            const response = await s3Client.send(new ListBucketsCommand({}));
+            const buckets = (response.Buckets || []).map(function(bucket) {
+                return { name: bucket.Name, region: bucket.BucketRegion || "" };
+            });
+
+            if (!config.endpoint) {
+                await Promise.all(buckets.filter(bucket => !bucket.region).map(async function(bucket) {
+                    try {
+                        const location = await s3Client.send(new GetBucketLocationCommand({ Bucket: bucket.name }));
+                        bucket.region = bucketLocationRegion(location.LocationConstraint);
+                    } catch (err) {
+                        // Without s3:GetBucketLocation the bucket is still listed, just without a region
+                    }
+                }));
+            }
+
+            return buckets.sort((a, b) => a.name.localeCompare(b.name));
+        } finally {
+            s3Client.destroy();
+        }
+    }
+
+    /**
+     * Respond to an admin request with the classified connection error.
+     */
+    function sendConnectionError(res, err) {
+        const category = classifyError(err);
+        res.json({
+            ok: false,
+            error: category,
+            message: RED._("aws.connection." + category),
+            detail: err.message || err.toString()
+        });
+    }
+
+    // Test the credentials and connection settings of the config node edit dialog
+    RED.httpAdmin.post("/epi-aws-config/:id/test", RED.auth.needsPermission("epi-aws-config.write"), async function(req, res) {
+        try {
+            const { config, awsCredentials } = configFromRequest(req.params.id, req.body);
+            const identity = await verifyConnection(config, awsCredentials);
+            res.json(Object.assign({ ok: true }, identity));
+        } catch (err) {
+            sendConnectionError(res, err);
+        }
+    });
+
+    // List the buckets reachable with the settings of a config node, for the bucket picker of the S3 nodes.
+    // Like /test, it needs write permission: the settings in the request are used with the saved secrets.
+    RED.httpAdmin.post("/epi-aws-config/:id/buckets", RED.auth.needsPermission("epi-aws-config.write"), async function(req, res) {
+        try {
+            const { config, awsCredentials } = configFromRequest(req.params.id, req.body);
+            const buckets = await listBuckets(config, awsCredentials);
+            res.json({ ok: true, buckets: buckets });
+        } catch (err) {
+            sendConnectionError(res, err);
+        }
+    });
+
+    /**
+     * Apply credentials passed in msg.awsCredentials to the node's config node.
+     * The credentials are removed from the message so they are not passed downstream.
+     * Returns false if they were rejected.
+     */
+    function updateCredentialsFromMessage(node, msg) {
+        if (msg.awsCredentials === undefined) {
+            return true;
+        }
+
+        const credentials = msg.awsCredentials;
+        delete msg.awsCredentials;
+
+        try {
+            node.awsConfig.updateCredentials(credentials);
+            return true;
+        } catch (err) {
+            node.error(RED._("aws.error.credentials-update-failed", { err: err.message }), msg);
+            node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+            return false;
+        }
+    }
+
+    /**
+     * Options for S3Client.send: msg.timeout (ms) overrides the request timeout of
+     * the config node for each attempt, and an optional AbortSignal cancels the request.
+     */
+    function requestOptions(msg, abortSignal) {
+        const timeout = Number(msg.timeout);
+        const options = timeout > 0 ? { requestTimeout: timeout } : {};
+        if (abortSignal) {
+            options.abortSignal = abortSignal;
+        }
+        return options;
+    }
+
+    /**
+     * Send a command for a bucket with the node's region. With region "auto" the
+     * bucket's region is looked up first, and a request S3 redirects to another
+     * region is retried there once.
+     */
+    async function sendCommand(node, bucket, command, msg, abortSignal) {
+        const options = requestOptions(msg, abortSignal);
+        if (node.region !== AUTO_REGION) {
+            return node.awsConfig.getClient(node.region).send(command, options);
+        }
+
+        const region = await node.awsConfig.getBucketRegion(bucket);
+        try {
+            return await node.awsConfig.getClient(region).send(command, options);
+        } catch (err) {
+            const bucketRegion = redirectRegion(err);
+            if (!bucketRegion || bucketRegion === region) {
+                throw err;
+            }
+            node.awsConfig.setBucketRegion(bucket, bucketRegion);
+            return node.awsConfig.getClient(bucketRegion).send(command, options);
+        }
+    }
+
+    /**
+     * The error message for a request that S3 rejected because the bucket is in
+     * another region than the node's, or null for any other error.
+     */
+    function wrongRegionMessage(node, err, bucket) {
+        const bucketRegion = redirectRegion(err);
+        if (!bucketRegion || bucketRegion === node.region || node.region === AUTO_REGION) {
+            return null;
+        }
+        return RED._("aws.error.wrong-region", { bucket: bucket, region: node.region, bucketRegion: bucketRegion });
+    }
+
+    /**
+     * Record the number of attempts an S3 request took (from a response or an error)
+     * on the message and return it.
+     */
+    function recordAttempts(msg, result) {
+        const attempts = (result && result.$metadata && result.$metadata.attempts) || 1;
+        msg.attempts = attempts;
+        return attempts;
+    }
+
+    /**
+     * Show the outcome of an S3 request in the node status: no status after a clean
+     * success, otherwise how many attempts it took.
+     */
+    function showResultStatus(node, attempts, failed) {
+        if (failed) {
+            node.status({
+                fill: "red",
+                shape: "dot",
+                text: attempts > 1 ? RED._("aws.status.failed-after-attempts", { attempts: attempts }) : "aws.status.error"
+            });
+        } else if (attempts > 1) {
+            node.status({ fill: "yellow", shape: "dot", text: RED._("aws.status.succeeded-after-attempts", { attempts: attempts }) });
+        } else {
+            node.status({}); // Clear status on success
+        }
+    }
+
+    /**
+     * Return a function that shows the bytes transferred so far in the node status,
+     * updated every 1MB.
+     */
+    function progressReporter(node, text) {
+        let lastProgressUpdate = 0;
+        return function(totalSize) {
+            const currentMB = Math.floor(totalSize / PROGRESS_UPDATE_INTERVAL);
+            if (currentMB > lastProgressUpdate) {
+                lastProgressUpdate = currentMB;
+                node.status({
+                    fill: "blue",
+                    shape: "dot",
+                    text: RED._(text || "aws.status.download-progress", { size: currentMB + "MB" })
+                });
+            }
+        };
+    }
+
+    /**
+     * Parse a size in MB from the editor or a message into bytes; 0 if not set.
+     */
+    function parseSize(value) {
+        const size = parseFloat(value);
+        return size > 0 ? Math.floor(size * 1024 * 1024) : 0;
+    }
+
+    /**
+     * The download size limit in bytes for a message: msg.maxSize, then the node's
+     * setting, then 100MB for downloads into memory. Files and split downloads have no
+     * default limit.
+     */
+    function downloadSizeLimit(node, msg) {
+        return parseSize(msg.maxSize) || node.maxSize || (node.destination === "payload" ? MAX_DOWNLOAD_SIZE : Infinity);
+    }
+
+    /**
+     * The error for an object larger than the download size limit. It has the code
+     * "SizeLimitExceeded" so flows can tell it from S3 errors.
+     */
+    function sizeLimitError(limit, size) {
+        const err = new Error(RED._("aws.error.size-limit-exceeded", { size: +(limit / 1024 / 1024).toFixed(2) }));
+        err.name = "SizeLimitExceeded";
+        err.code = "SizeLimitExceeded";
+        err.limit = limit;
+        if (size !== undefined) {
+            err.size = size;
+        }
+        return err;
+    }
+
+    /**
+     * Convert msg.range to an HTTP Range header: a string such as "bytes=0-99" (the
+     * "bytes=" prefix is optional), or an object with start and optional end offsets,
+     * or with last for the last N bytes. Returns null if the range is not valid.
+     */
+    function parseRange(range) {
+        if (typeof range === "string") {
+            const header = range.trim().replace(/^(bytes=)?/, "bytes=");
+            const match = /^bytes=(?:(\d+)-(\d*)|-(\d+))$/.exec(header);
+            if (!match || (match[2] && Number(match[2]) < Number(match[1])) || Number(match[3]) === 0) {
+                return null;
+            }
+            return header;
+        }
+        if (range && typeof range === "object") {
+            const isOffset = value => Number.isInteger(value) && value >= 0;
+            if (range.last !== undefined) {
+                return isOffset(range.last) && range.last > 0 ? "bytes=-" + range.last : null;
+            }
+            if (!isOffset(range.start)) {
+                return null;
+            }
+            if (range.end === undefined) {
+                return "bytes=" + range.start + "-";
+            }
+            return isOffset(range.end) && range.end >= range.start ? "bytes=" + range.start + "-" + range.end : null;
+        }
+        return null;
+    }
+
+    /**
+     * Convert msg.ifModifiedSince (a Date, a date string or a timestamp in ms) to a
+     * Date. Returns null if it is not a valid date.
+     */
+    function parseDate(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        return (typeof value === "string" || typeof value === "number" || value instanceof Date) &&
+            !isNaN(date.getTime()) ? date : null;
+    }
+
+    /**
+     * Read a GetObject response body into a Buffer, enforcing the download size limit.
+     */
+    async function readBody(node, body, limit) {
+        const reportProgress = progressReporter(node);
+        const chunks = [];
+        let totalSize = 0;
+
+        for await (const chunk of body) {
+            totalSize += chunk.length;
+            if (totalSize > limit) {
+                throw sizeLimitError(limit);
+            }
+            chunks.push(chunk);
+            reportProgress(totalSize);
+        }
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * The metadata of a downloaded object from a GetObject response, for msg.s3.
+     * S3 omits the storage class for STANDARD objects.
+     */
+    function objectMetadata(response) {
+        const metadata = {
+            contentType: response.ContentType,
+            contentLength: response.ContentLength,
+            contentEncoding: response.ContentEncoding,
+            cacheControl: response.CacheControl,
+            lastModified: response.LastModified,
+            etag: response.ETag,
+            versionId: response.VersionId,
+            storageClass: response.StorageClass || "STANDARD",
+            serverSideEncryption: response.ServerSideEncryption,
+            sseKmsKeyId: response.SSEKMSKeyId,
+            bucketKeyEnabled: response.BucketKeyEnabled,
+            sseCustomerAlgorithm: response.SSECustomerAlgorithm,
+            metadata: response.Metadata || {}
+        };
+        Object.keys(metadata).forEach(function(key) {
+            if (metadata[key] === undefined) {
+                delete metadata[key];
+            }
+        });
+        return metadata;
+    }
+
+    /**
+     * The checksum to verify a GetObject response against, with a hash to compute it,
+     * or null if S3 did not send one that covers the whole object. That is a full-object
+     * checksum, or else the ETag, which is the MD5 of the content except for multipart
+     * uploads ("-N" suffix) and objects encrypted with KMS or a customer-provided key.
+     */
+    function expectedChecksum(response) {
+        const algorithm = Object.keys(CHECKSUM_HASHES).find(name => response["Checksum" + name]);
+        // Composite checksums of multipart uploads end in "-N", and are not of the content
+        if (algorithm && response.ChecksumType !== "COMPOSITE" && response["Checksum" + algorithm].indexOf("-") === -1) {
+            return {
+                algorithm: algorithm,
+                expected: response["Checksum" + algorithm],
+                encoding: "base64",
+                hash: CHECKSUM_HASHES[algorithm]()
+            };
+        }
+
+        const etag = (response.ETag || "").replace(/"/g, "").toLowerCase();
+        if (/^[0-9a-f]{32}$/.test(etag) && !response.SSECustomerAlgorithm && !/^aws:kms/.test(response.ServerSideEncryption || "")) {
+            return { algorithm: "MD5", expected: etag, encoding: "hex", hash: new Hash("md5") };
+        }
+        return null;
+    }
+
+    function checksumMismatchError(checksum, actual) {
+        const err = new Error(RED._("aws.error.checksum-mismatch", { algorithm: checksum.algorithm, expected: checksum.expected, actual: actual }));
+        err.name = "ChecksumMismatch";
+        err.code = "ChecksumMismatch";
+        err.algorithm = checksum.algorithm;
+        err.expected = checksum.expected;
+        err.actual = actual;
+        return err;
+    }
+
+    /**
+     * Pass the chunks of a GetObject response body through while hashing them, then set
+     * msg.checksum. On a mismatch, throw if the node's checksum option is "fail", or warn
+     * otherwise. The SDK also checks the checksums S3 sends, and throws once it has
+     * passed the whole body on: if all `length` bytes arrived and the hash does not
+     * match, that is reported as a mismatch like any other, and other errors are passed
+     * on. Only the output that waits for the end of the body is stopped: parts of a split
+     * download that have already been sent cannot be taken back.
+     */
+    async function* verifyBody(node, body, checksum, msg, length) {
+        let received = 0;
+        let readError = null;
+        try {
+            for await (const chunk of body) {
+                checksum.hash.update(chunk);
+                received += chunk.length;
+                yield chunk;
+            }
+        } catch (err) {
+            readError = err;
+        }
+
+        if (readError && length !== undefined && received !== length) {
+            throw readError;
+        }
+        const actual = Buffer.from(await checksum.hash.digest()).toString(checksum.encoding);
+        msg.checksum = { algorithm: checksum.algorithm, value: actual, verified: actual === checksum.expected };
+        if (msg.checksum.verified) {
+            if (readError) {
+                throw readError;
+            }
+            return;
+        }
+        if (node.checksum === "fail") {
+            throw checksumMismatchError(checksum, actual);
+        }
+        node.warn(RED._("aws.warn.checksum-mismatch", { filename: msg.filename, algorithm: checksum.algorithm }));
+    }
+
+    /**
+     * Convert a downloaded object to the node's output format. "auto" parses JSON
+     * content types, decodes text content types (in their charset, if Node.js
+     * supports it) and leaves anything else as a Buffer.
+     */
+    function formatPayload(data, format, encoding, contentType) {
+        if (format === "auto") {
+            const type = (contentType || "").toLowerCase();
+            const charset = /charset=["']?([\w-]+)/.exec(type);
+            if (/^application\/([\w.-]+\+)?json\b/.test(type)) {
+                format = "json";
+            } else if (/^text\/|^application\/([\w.-]+\+)?(xml|javascript|x-ndjson)\b/.test(type)) {
+                format = "string";
+                encoding = charset && Buffer.isEncoding(charset[1]) ? charset[1] : "utf8";
+            } else {
+                format = "buffer";
+            }
+        }
+
+        switch (format) {
+            case "string":
+                return data.toString(encoding);
+            case "base64":
+                return data.toString("base64");
+            case "json":
+                // Strip a UTF-8 byte order mark, which JSON.parse rejects
+                return JSON.parse(data.toString("utf8").replace(/^\uFEFF/, ""));
+            default:
+                return data;
+        }
+    }
+
+    /**
+     * The size of the whole object from a Content-Range header such as "bytes 0-99/1234".
+     */
+    function rangeTotal(contentRange) {
+        const total = /\/(\d+)$/.exec(contentRange || "");
+        return total ? Number(total[1]) : undefined;
+    }
+
+    /**
+     * Whether a failed range of a parallel download is worth fetching again: network
+     * errors and truncated bodies are, but not errors S3 answered with a 4xx status.
+     */
+    function retryablePartError(err) {
+        const status = err.$metadata && err.$metadata.httpStatusCode;
+        return !status || status >= 500;
+    }
+
+    /**
+     * GetObject as concurrent byte-range requests of node.partSize bytes. The first
+     * range is requested with the caller's conditions, and gives the object size and
+     * ETag. The returned response looks like a GetObject response for the whole object,
+     * with a Body that fetches the other ranges node.concurrency at a time (each tried
+     * up to MAX_PART_ATTEMPTS times, and only if the ETag still matches) and yields them
+     * in order, so readBody, saveBody and sendParts can consume it. If reading stops
+     * early, or the Body is destroyed, the ranges still being fetched are cancelled.
+     * Objects that fit in one range come back as they are.
+     */
+    async function getObjectInParts(node, bucket, params, msg) {
+        const partSize = node.partSize || DEFAULT_PART_SIZE;
+        const concurrency = node.concurrency || DEFAULT_CONCURRENCY;
+        // Checksums cover the whole object, so the SDK must not check ranges against them
+        const rangeParams = Object.assign({}, params);
+        delete rangeParams.ChecksumMode;
+        let first;
+        try {
+            first = await sendCommand(node, bucket, new GetObjectCommand(Object.assign({}, rangeParams, {
+                Range: "bytes=0-" + (partSize - 1)
+            })), msg);
+        } catch (err) {
+            if (!err.$metadata || err.$metadata.httpStatusCode !== 416) {
+                throw err;
+            }
+            // S3 rejects ranges of empty objects
+            return sendCommand(node, bucket, new GetObjectCommand(params), msg);
+        }
+
+        const total = rangeTotal(first.ContentRange);
+        if (total === undefined || total <= partSize) {
+            return first;
+        }
+
+        // The other ranges must come from the same object, and the conditions were met
+        const partParams = Object.assign({}, rangeParams, { IfMatch: first.ETag });
+        delete partParams.IfNoneMatch;
+        delete partParams.IfModifiedSince;
+        const count = Math.ceil(total / partSize);
+        const controller = new AbortController();
+
+        async function fetchPart(index, response) {
+            const start = index * partSize;
+            const length = Math.min(partSize, total - start);
+            let attempts = 0;
+
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    if (!response) {
+                        const command = new GetObjectCommand(Object.assign({}, partParams, {
+                            Range: "bytes=" + start + "-" + (start + length - 1)
+                        }));
+                        response = await sendCommand(node, bucket, command, msg, controller.signal);
+                    }
+                    attempts += (response.$metadata && response.$metadata.attempts) || 1;
+
+                    const chunks = [];
+                    let received = 0;
+                    for await (const chunk of response.Body) {
+                        chunks.push(chunk);
+                        received += chunk.length;
+                    }
+                    if (received !== length) {
+                        throw new Error(RED._("aws.error.incomplete-part", { start: start, expected: length, received: received }));
+                    }
+                    msg.attempts = Math.max(msg.attempts || 1, attempts);
+                    return Buffer.concat(chunks, received);
+                } catch (err) {
+                    if (!response) {
+                        attempts += (err.$metadata && err.$metadata.attempts) || 1;
+                    }
+                    if (attempt >= MAX_PART_ATTEMPTS || !retryablePartError(err) || controller.signal.aborted) {
+                        throw err;
+                    }
+                    response = null;
+                }
+            }
+        }
+
+        async function* readParts() {
+            const pending = [];
+            let next = 0;
+            function fill() {
+                while (next < count && pending.length < concurrency) {
+                    const part = fetchPart(next, next === 0 ? first : null);
+                    part.catch(function() {}); // Reported when its turn comes
+                    pending.push(part);
+                    next++;
+                }
+            }
+
+            try {
+                fill();
+                while (pending.length) {
+                    const data = await pending.shift();
+                    fill();
+                    yield data;
+                }
+            } finally {
+                cancel(); // Nothing is left to fetch, unless reading stopped early
+            }
+        }
+
+        function cancel() {
+            controller.abort();
+            if (first.Body && typeof first.Body.destroy === "function") {
+                first.Body.destroy();
+            }
+        }
+
+        const body = readParts();
+        body.destroy = cancel;
+        return Object.assign({}, first, { ContentLength: total, ContentRange: undefined, Body: body });
+    }
+
+    /**
+     * Pass the chunks of a GetObject response body through, enforcing the download
+     * size limit and showing progress.
+     */
+    async function* meterBody(node, body, limit) {
+        const reportProgress = progressReporter(node);
+        let totalSize = 0;
+
+        for await (const chunk of body) {
+            totalSize += chunk.length;
+            if (totalSize > limit) {
+                throw sizeLimitError(limit);
+            }
+            reportProgress(totalSize);
+            yield chunk;
+        }
+    }
+
+    /**
+     * Stream a GetObject response body to a local file and return the number of bytes
+     * written. The data goes to a temporary file in the same directory that is renamed
+     * once complete, so the file at localPath is never partially written.
+     */
+    async function saveBody(node, body, localPath, limit) {
+        const tempPath = localPath + "." + process.pid + "." + Date.now() + ".tmp";
+
+        await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+        const output = fs.createWriteStream(tempPath);
+        try {
+            await pipeline(meterBody(node, body, limit), output);
+            await fs.promises.rename(tempPath, localPath);
+        } catch (err) {
+            await fs.promises.unlink(tempPath).catch(function() {});
+            throw err;
+        }
+
+        return output.bytesWritten;
+    }
+
+    /**
+     * Split a stream of chunks into lines (without line endings), strings of
+     * `size` lines, or Buffers of `size` bytes.
+     */
+    async function* splitChunks(chunks, splitBy, size, encoding) {
+        if (splitBy === "bytes") {
+            let buffered = [];
+            let length = 0;
+            for await (const chunk of chunks) {
+                buffered.push(chunk);
+                length += chunk.length;
+                if (length >= size) {
+                    const data = Buffer.concat(buffered, length);
+                    let offset = 0;
+                    for (; length - offset >= size; offset += size) {
+                        yield data.subarray(offset, offset + size);
+                    }
+                    buffered = [data.subarray(offset)];
+                    length -= offset;
+                }
+            }
+            if (length > 0) {
+                yield Buffer.concat(buffered, length);
+            }
+            return;
+        }
+
+        const linesPerPart = splitBy === "records" ? size : 1;
+        const decoder = new StringDecoder(encoding);
+        let remainder = "";
+        let lines = [];
+        for await (const chunk of chunks) {
+            const text = remainder + decoder.write(chunk);
+            const complete = text.split("\n");
+            remainder = complete.pop();
+            for (const line of complete) {
+                lines.push(line.replace(/\r$/, ""));
+                if (lines.length === linesPerPart) {
+                    yield lines.join("\n");
+                    lines = [];
+                }
+            }
+        }
+        remainder += decoder.end();
+        if (remainder) {
+            lines.push(remainder.replace(/\r$/, ""));
+        }
+        if (lines.length) {
+            yield lines.join("\n");
+        }
+    }
 
     /**
-     * EpiAWSNode is the config node that holds credentials.
+     * Stream a GetObject response body as a sequence of messages with msg.parts, so
+     * a join node can reassemble them, and return the number sent. Each part is held
+     * back until the next one is read, so the last can carry parts.count and
+     * msg.checksum (or be replaced by an error if the checksum fails), and the
+     * event loop gets a turn after each message so they are delivered as the body is
+     * read instead of queueing up in memory. An empty body is sent as one empty part.
      */
-    function EpiAWSNode(n) {
-        RED.nodes.createNode(this, n);
-        this.name = n.name;
+    async function sendParts(node, body, msg, limit) {
+        const chunks = meterBody(node, body, limit);
+        const size = node.splitSize || (node.splitBy === "bytes" ? DEFAULT_SPLIT_BYTES : DEFAULT_SPLIT_RECORDS);
+        const id = RED.util.generateId();
+        let index = 0;
+        let pending = null;
 
-        // Save credentials in a plain object, so other nodes can create an S3Client with them.
-        if (this.credentials &&
-            this.credentials.accesskeyid &&
-            this.credentials.secretaccesskey) {
-            this.awsCredentials = {
-                accessKeyId: this.credentials.accesskeyid,
-                secretAccessKey: this.credentials.secretaccesskey
+        function part(payload) {
+            const message = RED.util.cloneMessage(msg);
+            delete message._msgid;
+            delete message.checksum; // Only known once the whole body has been read
+            message.payload = payload;
+            message.parts = {
+                id: id,
+                index: index++,
+                type: node.splitBy === "bytes" ? "buffer" : "string",
+                ch: node.splitBy === "bytes" ? "" : "\n"
             };
-        } else {
-            this.awsCredentials = null;
+            if (msg.parts) {
+                message.parts.parts = msg.parts; // Keep an existing sequence, like the split node
+            }
+            return message;
         }
-    }
 
-    RED.nodes.registerType("epi-aws-config", EpiAWSNode, {
-        credentials: {
-            accesskeyid: { type: "password" },
-            secretaccesskey: { type: "password" }
+        for await (const payload of splitChunks(chunks, node.splitBy, size, node.encoding)) {
+            if (pending) {
+                node.send(pending);
+                await new Promise(resolve => setImmediate(resolve));
+            }
+            pending = part(payload);
         }
-    });
+
+        if (!pending) {
+            // An empty object is a sequence of one empty part, so a join node is not left waiting
+            pending = part(node.splitBy === "bytes" ? Buffer.alloc(0) : "");
+        }
+        pending.parts.count = index;
+        if (msg.checksum !== undefined) {
+            pending.checksum = msg.checksum;
+        }
+        node.send(pending);
+        return index;
+    }
 
     /**
      * EpiAmazonS3DownloadNode
@@ -79,34 +1312,77 @@
         this.bucket = n.bucket;
         this.name = n.name;
         this.filename = n.filename || "";
+        this.destination = DESTINATIONS.includes(n.destination) ? n.destination : "payload";
+        this.localPath = n.localPath || "";
+        this.maxSize = parseSize(n.maxSize);
+        this.trackEtag = n.trackEtag === true;
+        this.versionId = n.versionId || "";
+        this.sseCustomerKey = this.credentials && this.credentials.sseCustomerKey ? parseCustomerKey(this.credentials.sseCustomerKey) : undefined;
+        this.checksum = CHECKSUM_MODES.includes(n.checksum) ? n.checksum : "none";
+        this.parallel = n.parallel === true;
+        this.partSize = parseSize(n.partSize);
+        this.concurrency = parseInt(n.concurrency, 10) > 0 ? parseInt(n.concurrency, 10) : 0;
+        this.splitBy = SPLIT_MODES.includes(n.splitBy) ? n.splitBy : "lines";
+        this.splitSize = parseInt(n.splitSize, 10) > 0 ? parseInt(n.splitSize, 10) : 0;
+        this.format = FORMATS.includes(n.format) ? n.format : "buffer";
+        this.encoding = ENCODINGS.includes(n.encoding) ? n.encoding : "utf8";
 
         const node = this;
-        let s3Client = null;
+        // ETags of the objects last downloaded, keyed by bucket and key, for trackEtag.
+        // A Map keeps insertion order, so the first entry is the least recently used.
+        const etags = new Map();
+
+        function rememberEtag(key, etag) {
+            etags.delete(key);
+            etags.set(key, etag);
+            if (etags.size > MAX_TRACKED_ETAGS) {
+                etags.delete(etags.keys().next().value);
+            }
+        }
 
-        // If credentials are missing, warn and stop.
-        if (!this.awsConfig || !this.awsConfig.awsCredentials) {
+        // If there is no config node, warn and stop.
+        if (!this.awsConfig) {
             node.warn(RED._("aws.warn.missing-credentials"));
             node.status({ fill: "red", shape: "ring", text: "aws.status.error" });
             return;
         }
 
-        // Create an S3Client using AWS SDK v3
-        try {
-            s3Client = new S3Client({
-                region: node.region,
-                credentials: this.awsConfig.awsCredentials
-            });
-            node.status({}); // Clear status on successful initialization
-        } catch (err) {
-            node.error(RED._("aws.error.initialization-failed", { err: err.toString() }));
+        // If credentials are missing, warn but keep listening: they may arrive in msg.awsCredentials.
+        if (!this.awsConfig.awsCredentials) {
+            node.warn(RED._("aws.warn.missing-credentials"));
             node.status({ fill: "red", shape: "ring", text: "aws.status.error" });
-            return;
+        } else {
+            // Borrow the config node's shared S3Client (AWS SDK v3)
+            try {
+                this.awsConfig.getClient(node.region === AUTO_REGION ? DEFAULT_REGION : node.region);
+                node.status({}); // Clear status on successful initialization
+            } catch (err) {
+                node.error(RED._("aws.error.initialization-failed", { err: err.toString() }));
+                node.status({ fill: "red", shape: "ring", text: "aws.status.error" });
+                return;
+            }
         }
 
         node.on("input", async function(msg) {
             const bucket = node.bucket || msg.bucket;
             const filename = node.filename || msg.filename;
+            const localPath = node.localPath || msg.localPath;
+            const versionId = node.versionId || msg.versionId;
+            const maxSize = downloadSizeLimit(node, msg);
+            const range = msg.range !== undefined ? parseRange(msg.range) : undefined;
+            const ifModifiedSince = msg.ifModifiedSince !== undefined ? parseDate(msg.ifModifiedSince) : undefined;
+            const etagKey = bucket + "/" + filename + (versionId ? "?versionId=" + versionId : "");
+            // Only whole-object downloads are remembered, so a range never stands in for the object
+            const ifNoneMatch = msg.ifNoneMatch || (node.trackEtag && !range ? etags.get(etagKey) : undefined);
 
+            if (!updateCredentialsFromMessage(node, msg)) {
+                return;
+            }
+            if (!node.awsConfig.awsCredentials) {
+                node.error(RED._("aws.warn.missing-credentials"), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
             if (!bucket) {
                 node.error(RED._("aws.error.no-bucket-specified"), msg);
                 node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
@@ -117,6 +1393,26 @@
                 node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
                 return;
             }
+            if (node.destination === "file" && !localPath) {
+                node.error(RED._("aws.error.no-local-path-specified"), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
+            if (range === null) {
+                node.error(RED._("aws.error.invalid-range", { range: JSON.stringify(msg.range) }), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
+            if (ifModifiedSince === null) {
+                node.error(RED._("aws.error.invalid-date", { date: String(msg.ifModifiedSince) }), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
+            if (node.sseCustomerKey === null) {
+                node.error(RED._("aws.error.invalid-customer-key"), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
 
             msg.bucket = bucket;
             msg.filename = filename;
@@ -124,50 +1420,163 @@
 
             try {
                 // Using the v3 API with async/await
-                const command = new GetObjectCommand({
+                const commandParams = {
                     Bucket: bucket,
                     Key: filename
-                });
+                };
+
+                if (versionId) {
+                    commandParams.VersionId = versionId;
+                }
+
+                // Objects encrypted with a customer-provided key can only be read with the key
+                if (node.sseCustomerKey) {
+                    commandParams.SSECustomerAlgorithm = "AES256";
+                    commandParams.SSECustomerKey = node.sseCustomerKey;
+                }
+
+                if (range) {
+                    commandParams.Range = range;
+                }
+
+                if (ifNoneMatch) {
+                    commandParams.IfNoneMatch = ifNoneMatch;
+                }
+
+                if (ifModifiedSince) {
+                    commandParams.IfModifiedSince = ifModifiedSince;
+                }
+
+                // Checksums only cover whole objects
+                const verify = node.checksum !== "none" && !range;
+                if (verify) {
+                    commandParams.ChecksumMode = "ENABLED";
+                }
+
+                // Ranges are usually small, so they are fetched in one request
+                const response = node.parallel && !range ?
+                    await getObjectInParts(node, bucket, commandParams, msg) :
+                    await sendCommand(node, bucket, new GetObjectCommand(commandParams), msg);
+                recordAttempts(msg, response);
 
-                const response = await s3Client.send(command);
+                if (range && response.ContentRange) {
+                    // e.g. "bytes 0-99/1234": the part returned and the size of the whole object
+                    msg.contentRange = response.ContentRange;
+                    msg.totalSize = rangeTotal(response.ContentRange);
+                }
+
+                // Fail before reading the body if S3 says the object is too large
+                if (response.ContentLength > maxSize) {
+                    if (response.Body && typeof response.Body.destroy === "function") {
+                        response.Body.destroy();
+                    }
+                    throw sizeLimitError(maxSize, response.ContentLength);
+                }
 
-                // Process the response stream with size limits
-                const chunks = [];
-                let totalSize = 0;
-                let lastProgressUpdate = 0;
+                msg.s3 = objectMetadata(response);
+                msg.etag = response.ETag;
+                msg.notModified = false;
 
-                for await (const chunk of response.Body) {
-                    totalSize += chunk.length;
-                    if (totalSize > MAX_DOWNLOAD_SIZE) {
-                        throw new Error(RED._("aws.error.size-limit-exceeded", { size: MAX_DOWNLOAD_SIZE / 1024 / 1024 }));
+                let body = response.Body;
+                if (verify) {
+                    const checksum = expectedChecksum(response);
+                    msg.checksum = null; // Set once the body has been read, if there is a checksum to verify
+                    if (checksum) {
+                        body = verifyBody(node, body, checksum, msg, response.ContentLength);
+                    } else if (node.parallel) {
+                        // Ranges do not come with the checksums of the whole object
+                        node.warn(RED._("aws.warn.checksum-unavailable", { filename: filename }));
                     }
-                    chunks.push(chunk);
-
-                    // Update status every 1MB of progress
-                    const currentMB = Math.floor(totalSize / PROGRESS_UPDATE_INTERVAL);
-                    if (currentMB > lastProgressUpdate) {
-                        lastProgressUpdate = currentMB;
-                        node.status({
-                            fill: "blue",
-                            shape: "dot",
-                            text: RED._("aws.status.download-progress", { size: currentMB + "MB" })
-                        });
+                }
+
+                if (node.destination === "split") {
+                    // Each part is sent as it is read; there is no final message
+                    msg.payload = null;
+                    await sendParts(node, body, msg, maxSize);
+                } else if (node.destination === "file") {
+                    // Stream to disk without holding the object in memory
+                    const bytes = await saveBody(node, body, localPath, maxSize);
+                    msg.localPath = localPath;
+                    msg.payload = {
+                        success: true,
+                        bucket: bucket,
+                        key: filename,
+                        localPath: localPath,
+                        bytes: bytes
+                    };
+                } else {
+                    const data = await readBody(node, body, maxSize);
+                    try {
+                        msg.payload = formatPayload(data, node.format, node.encoding, response.ContentType);
+                    } catch (err) {
+                        throw new Error(RED._("aws.error.parse-failed", { filename: filename, bucket: bucket, err: err.message }));
                     }
                 }
 
-                msg.payload = Buffer.concat(chunks);
-                node.status({}); // Clear status on success
-                node.send(msg);
+                if (node.trackEtag && !range && response.ETag) {
+                    rememberEtag(etagKey, response.ETag);
+                }
+                // Parallel downloads record the attempts of the ranges as they are read
+                showResultStatus(node, msg.attempts, false);
+                if (node.destination !== "split") {
+                    node.send(msg);
+                }
             } catch (err) {
+                // Not modified since the ETag or date in the request: not an error
+                if (err.$metadata && err.$metadata.httpStatusCode === 304) {
+                    recordAttempts(msg, err);
+                    // S3 sends the ETag and date of the unchanged object; otherwise echo the ones
+                    // the request was made with
+                    const headers = (err.$response && err.$response.headers) || {};
+                    const etag = headers.etag || ifNoneMatch;
+                    const lastModified = headers["last-modified"] ? new Date(headers["last-modified"]) : ifModifiedSince;
+                    msg.payload = null;
+                    msg.notModified = true;
+                    if (etag) {
+                        msg.etag = etag;
+                    }
+                    // What is known of the object without downloading it
+                    msg.s3 = {};
+                    if (msg.etag) {
+                        msg.s3.etag = msg.etag;
+                    }
+                    if (lastModified) {
+                        msg.s3.lastModified = lastModified;
+                    }
+                    if (versionId) {
+                        msg.s3.versionId = versionId;
+                    }
+                    if (node.trackEtag && !range && msg.etag) {
+                        rememberEtag(etagKey, msg.etag);
+                    }
+                    node.status({ fill: "green", shape: "ring", text: "aws.status.not-modified" });
+                    node.send(msg);
+                    return;
+                }
+
                 msg.error = err;
                 msg.payload = null;
+                const attempts = recordAttempts(msg, err);
                 let errorMessage = err.message || err.toString();
 
+                if (err.name === "TimeoutError") {
+                    errorMessage = RED._("aws.error.timeout", { err: errorMessage });
+                }
+
                 // Handle specific AWS errors while preserving original error object
-                if (err.$metadata && err.$metadata.httpStatusCode) {
+                const regionMessage = wrongRegionMessage(node, err, bucket);
+                if (regionMessage) {
+                    errorMessage = regionMessage;
+                } else if (err.$metadata && err.$metadata.httpStatusCode) {
                     switch (err.$metadata.httpStatusCode) {
                         case 404:
-                            errorMessage = RED._("aws.error.file-not-found", { filename: filename, bucket: bucket });
+                            if (err.name === "NoSuchBucket" || err.name === "NotFound") {
+                                errorMessage = RED._("aws.error.bucket-not-found", { bucket: bucket });
+                            } else if (versionId && err.name !== "NoSuchKey") {
+                                errorMessage = RED._("aws.error.version-not-found", { versionId: versionId, filename: filename, bucket: bucket });
+                            } else {
+                                errorMessage = RED._("aws.error.file-not-found", { filename: filename, bucket: bucket });
+                            }
                             break;
                         case 403:
                             errorMessage = RED._("aws.error.access-denied");
@@ -175,26 +1584,34 @@
                         case 400:
                             errorMessage = RED._("aws.error.invalid-request");
                             break;
+                        case 412:
+                            errorMessage = RED._("aws.error.object-changed", { filename: filename, bucket: bucket });
+                            break;
+                        case 416:
+                            errorMessage = RED._("aws.error.range-not-satisfiable", { range: range, filename: filename });
+                            break;
                     }
                 }
 
                 node.error(RED._("aws.error.download-failed", { err: errorMessage }), msg);
-                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                showResultStatus(node, attempts, true);
                 node.send(msg); // Send msg with error so downstream can handle it
             }
         });
 
         node.on("close", function(done) {
-            if (s3Client) {
-                s3Client.destroy();
-                s3Client = null;
-            }
+            // The shared S3Client belongs to the config node
+            etags.clear();
             node.status({});
             done();
         });
     }
 
-    RED.nodes.registerType("epi-aws-s3", EpiAmazonS3DownloadNode);
+    RED.nodes.registerType("epi-aws-s3", EpiAmazonS3DownloadNode, {
+        credentials: {
+            sseCustomerKey: { type: "password" }
+        }
+    });
 
     /**
      * EpiAmazonS3UploadNode
@@ -210,28 +1627,45 @@
         this.filename = n.filename || "";
         this.contentType = n.contentType || "";
         this.acl = n.acl || "";
+        // Parts below the S3 minimum would be rejected when the upload completes
+        this.partSize = parseSize(n.partSize) ? Math.max(parseSize(n.partSize), MIN_UPLOAD_PART_SIZE) : 0;
+        this.concurrency = parseInt(n.concurrency, 10) > 0 ? parseInt(n.concurrency, 10) : 0;
+        this.localPath = n.localPath || "";
+        this.afterUpload = AFTER_UPLOAD_ACTIONS.includes(n.afterUpload) ? n.afterUpload : "keep";
+        this.movePath = n.movePath || "";
+        this.encryption = ENCRYPTION_MODES.includes(n.encryption) ? n.encryption : "";
+        this.kmsKeyId = n.kmsKeyId || "";
+        this.bucketKeyEnabled = n.bucketKeyEnabled === true;
+        this.storageClass = STORAGE_CLASSES.includes(n.storageClass) ? n.storageClass : "";
+        this.sseCustomerKey = this.credentials && this.credentials.sseCustomerKey ? parseCustomerKey(this.credentials.sseCustomerKey) : undefined;
 
         const node = this;
-        let s3Client = null;
+        this.metadata = parseDefaults(node, n.metadata, "metadata");
+        this.tags = parseDefaults(node, n.tags, "tags");
+        // Uploads in progress, stopped if the node is closed
+        const uploads = new Set();
 
-        // If credentials are missing, warn and stop.
-        if (!this.awsConfig || !this.awsConfig.awsCredentials) {
+        // If there is no config node, warn and stop.
+        if (!this.awsConfig) {
             node.warn(RED._("aws.warn.missing-credentials"));
             node.status({ fill: "red", shape: "ring", text: "aws.status.error" });
             return;
         }
 
-        // Create an S3Client using AWS SDK v3
-        try {
-            s3Client = new S3Client({
-                region: node.region,
-                credentials: this.awsConfig.awsCredentials
-            });
-            node.status({}); // Clear status on successful initialization
-        } catch (err) {
-            node.error(RED._("aws.error.initialization-failed", { err: err.toString() }));
+        // If credentials are missing, warn but keep listening: they may arrive in msg.awsCredentials.
+        if (!this.awsConfig.awsCredentials) {
+            node.warn(RED._("aws.warn.missing-credentials"));
             node.status({ fill: "red", shape: "ring", text: "aws.status.error" });
-            return;
+        } else {
+            // Borrow the config node's shared S3Client (AWS SDK v3)
+            try {
+                this.awsConfig.getClient(node.region === AUTO_REGION ? DEFAULT_REGION : node.region);
+                node.status({}); // Clear status on successful initialization
+            } catch (err) {
+                node.error(RED._("aws.error.initialization-failed", { err: err.toString() }));
+                node.status({ fill: "red", shape: "ring", text: "aws.status.error" });
+                return;
+            }
         }
 
         node.on("input", async function(msg) {
@@ -239,7 +1673,19 @@
             const filename = node.filename || msg.filename;
             const contentType = node.contentType || msg.contentType || detectContentType(filename);
             const acl = node.acl || msg.acl;
+            const localPath = node.localPath || msg.localPath;
+            const storageClass = msg.storageClass || node.storageClass;
+            const metadata = mergeValues(node.metadata, msg.metadata);
+            const tags = mergeValues(node.tags, msg.tags);
 
+            if (!updateCredentialsFromMessage(node, msg)) {
+                return;
+            }
+            if (!node.awsConfig.awsCredentials) {
+                node.error(RED._("aws.warn.missing-credentials"), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
             if (!bucket) {
                 node.error(RED._("aws.error.no-bucket-specified"), msg);
                 node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
@@ -250,24 +1696,53 @@
                 node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
                 return;
             }
-            if (msg.payload === undefined || msg.payload === null) {
+            if (!localPath && (msg.payload === undefined || msg.payload === null)) {
                 node.error(RED._("aws.error.no-payload-specified"), msg);
                 node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
                 return;
             }
 
-            // Convert payload to Buffer if it's a string
-            let body = msg.payload;
+            if (storageClass && !STORAGE_CLASSES.includes(storageClass)) {
+                node.error(RED._("aws.error.invalid-storage-class", { storageClass: String(storageClass), valid: STORAGE_CLASSES.join(", ") }), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
+
+            const metadataProblem = metadata ? invalidMetadata(metadata) : RED._("aws.error.metadata-not-object");
+            if (metadataProblem) {
+                node.error(RED._("aws.error.invalid-metadata", { reason: metadataProblem }), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
+            const tagsProblem = tags ? invalidTags(tags) : RED._("aws.error.tags-not-object");
+            if (tagsProblem) {
+                node.error(RED._("aws.error.invalid-tags", { reason: tagsProblem }), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
+            if (node.encryption === "sse-c" && !node.sseCustomerKey) {
+                node.error(RED._("aws.error.invalid-customer-key"), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
+            if (localPath && node.afterUpload === "move" && !node.movePath) {
+                node.error(RED._("aws.error.no-move-path-specified"), msg);
+                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                return;
+            }
+
+            // Convert payload to Buffer if it's a string. A local file is streamed instead.
+            let body = localPath ? null : msg.payload;
             if (typeof body === "string") {
                 body = Buffer.from(body, "utf8");
-            } else if (typeof body === "object" && !Buffer.isBuffer(body)) {
-                // Convert objects to JSON
+            } else if (body && typeof body === "object" && !Buffer.isBuffer(body) && typeof body[Symbol.asyncIterator] !== "function") {
+                // Convert objects to JSON. Streams are read as they are uploaded.
                 body = Buffer.from(JSON.stringify(body), "utf8");
             }
 
             // Check size limit
             if (Buffer.isBuffer(body) && body.length > MAX_UPLOAD_SIZE) {
-                node.error(RED._("aws.error.upload-size-limit-exceeded", { size: MAX_UPLOAD_SIZE / 1024 / 1024 / 1024 }), msg);
+                node.error(RED._("aws.error.upload-size-limit-exceeded", { size: MAX_UPLOAD_SIZE / 1024 / 1024 / 1024 / 1024 }), msg);
                 node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
                 return;
             }
@@ -279,8 +1754,7 @@
             try {
                 const commandParams = {
                     Bucket: bucket,
-                    Key: filename,
-                    Body: body
+                    Key: filename
                 };
 
                 if (contentType) {
@@ -291,8 +1765,43 @@
                     commandParams.ACL = acl;
                 }
 
-                const command = new PutObjectCommand(commandParams);
-                const response = await s3Client.send(command);
+                if (storageClass) {
+                    commandParams.StorageClass = storageClass;
+                }
+
+                if (node.encryption === "sse-c") {
+                    commandParams.SSECustomerAlgorithm = "AES256";
+                    commandParams.SSECustomerKey = node.sseCustomerKey;
+                } else if (node.encryption) {
+                    commandParams.ServerSideEncryption = node.encryption;
+                    if (node.encryption === "aws:kms") {
+                        if (node.kmsKeyId) {
+                            commandParams.SSEKMSKeyId = node.kmsKeyId; // Otherwise the AWS managed key, aws/s3
+                        }
+                        if (node.bucketKeyEnabled) {
+                            commandParams.BucketKeyEnabled = true;
+                        }
+                    }
+                }
+
+                if (Object.keys(metadata).length) {
+                    commandParams.Metadata = metadata;
+                }
+
+                if (Object.keys(tags).length) {
+                    commandParams.Tagging = encodeTags(tags);
+                }
+
+                let source = Buffer.isBuffer(body) ? [body] : body;
+                let size = Buffer.isBuffer(body) ? body.length : undefined;
+                if (localPath) {
+                    size = (await fs.promises.stat(localPath)).size;
+                    if (size > MAX_UPLOAD_SIZE) {
+                        throw new Error(RED._("aws.error.upload-size-limit-exceeded", { size: MAX_UPLOAD_SIZE / 1024 / 1024 / 1024 / 1024 }));
+                    }
+                    source = fs.createReadStream(localPath);
+                }
+                const response = await uploadBody(node, bucket, commandParams, source, size, msg, uploads);
 
                 msg.payload = {
                     success: true,
@@ -301,16 +1810,43 @@
                     etag: response.ETag,
                     versionId: response.VersionId
                 };
+                if (storageClass) {
+                    msg.payload.storageClass = storageClass;
+                }
+                if (response.parts) {
+                    msg.payload.parts = response.parts;
+                }
+                if (response.ServerSideEncryption) {
+                    msg.payload.serverSideEncryption = response.ServerSideEncryption;
+                }
+                if (localPath) {
+                    msg.payload.localPath = localPath;
+                    const movedTo = await afterUpload(node, localPath);
+                    if (movedTo) {
+                        msg.payload.movedTo = movedTo;
+                    }
+                }
 
-                node.status({}); // Clear status on success
+                showResultStatus(node, msg.attempts, false);
                 node.send(msg);
             } catch (err) {
                 msg.error = err;
                 msg.payload = null;
+                const attempts = recordAttempts(msg, err);
                 let errorMessage = err.message || err.toString();
 
+                if (err.name === "TimeoutError") {
+                    errorMessage = RED._("aws.error.timeout", { err: errorMessage });
+                }
+                if (err.code === "ENOENT" && localPath) {
+                    errorMessage = RED._("aws.error.local-file-not-found", { localPath: localPath });
+                }
+
                 // Handle specific AWS errors
-                if (err.$metadata && err.$metadata.httpStatusCode) {
+                const regionMessage = wrongRegionMessage(node, err, bucket);
+                if (regionMessage) {
+                    errorMessage = regionMessage;
+                } else if (err.$metadata && err.$metadata.httpStatusCode) {
                     switch (err.$metadata.httpStatusCode) {
                         case 403:
                             errorMessage = RED._("aws.error.access-denied");
@@ -325,19 +1861,360 @@
                 }
 
                 node.error(RED._("aws.error.upload-failed", { err: errorMessage }), msg);
-                node.status({ fill: "red", shape: "dot", text: "aws.status.error" });
+                showResultStatus(node, attempts, true);
                 node.send(msg); // Send msg with error so downstream can handle it
             }
         });
 
         node.on("close", function(done) {
-            if (s3Client) {
-                s3Client.destroy();
-                s3Client = null;
+            // Stop unfinished uploads, which cancel their requests and abort themselves in
+            // S3; the shared S3Client belongs to the config node
+            Promise.all(Array.from(uploads).map(function(upload) {
+                upload.abort();
+                return upload.finished;
+            })).then(function() {
+                node.status({});
+                done();
+            });
+        });
+    }
+
+    /**
+     * The 256-bit key for SSE-C from a node's credentials, given as base64 or as 32
+     * characters, or null if it is not a valid key.
+     */
+    function parseCustomerKey(value) {
+        if (/^[A-Za-z0-9+/]{43}=$/.test(value)) {
+            return Buffer.from(value, "base64");
+        }
+        const key = Buffer.from(value, "utf8");
+        return key.length === 32 ? key : null;
+    }
+
+    /**
+     * The SSE-C parameters of a request, which every request for the object must repeat.
+     */
+    function customerKeyParams(params) {
+        return params.SSECustomerKey ? { SSECustomerAlgorithm: params.SSECustomerAlgorithm, SSECustomerKey: params.SSECustomerKey } : {};
+    }
+
+    /**
+     * Parse a JSON object of default metadata or tags from the node's settings.
+     */
+    function parseDefaults(node, value, setting) {
+        if (!value) {
+            return {};
+        }
+        try {
+            const parsed = JSON.parse(value);
+            if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+                return parsed;
             }
-            node.status({});
-            done();
+        } catch (err) {
+            // Reported below
+        }
+        node.warn(RED._("aws.warn.invalid-defaults", { setting: setting }));
+        return {};
+    }
+
+    /**
+     * The node's defaults with a message's values on top, with the values as strings,
+     * or null if the message's value is not an object or a value is not a string,
+     * number or boolean.
+     */
+    function mergeValues(defaults, values) {
+        if (values !== undefined && (!values || typeof values !== "object" || Array.isArray(values))) {
+            return null;
+        }
+        const merged = {};
+        const all = Object.assign({}, defaults, values);
+        for (const key of Object.keys(all)) {
+            if (!["string", "number", "boolean"].includes(typeof all[key])) {
+                return null;
+            }
+            merged[key] = String(all[key]);
+        }
+        return merged;
+    }
+
+    /**
+     * Check user-defined metadata against S3 limits: names must be valid HTTP header
+     * names, values printable ASCII (they are sent as headers), and all of them 2KB at
+     * most. Return the reason it is invalid, or null.
+     */
+    function invalidMetadata(metadata) {
+        let size = 0;
+        for (const key of Object.keys(metadata)) {
+            if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(key)) {
+                return RED._("aws.error.invalid-metadata-key", { key: key });
+            }
+            if (!/^[\x20-\x7E]*$/.test(metadata[key])) {
+                return RED._("aws.error.invalid-metadata-value", { key: key });
+            }
+            size += Buffer.byteLength(key) + Buffer.byteLength(metadata[key]);
+        }
+        if (size > MAX_METADATA_SIZE) {
+            return RED._("aws.error.metadata-too-large", { size: size, limit: MAX_METADATA_SIZE });
+        }
+        return null;
+    }
+
+    /**
+     * Check object tags against S3 limits: up to 10, with keys of up to 128 and values
+     * of up to 256 characters from letters, numbers, spaces and + - = . _ : / @, and
+     * no keys in the reserved aws: prefix. Return the reason they are invalid, or null.
+     */
+    function invalidTags(tags) {
+        const keys = Object.keys(tags);
+        const valid = /^[\p{L}\p{Z}\p{N}_.:/=+\-@]*$/u;
+        if (keys.length > MAX_TAGS) {
+            return RED._("aws.error.too-many-tags", { count: keys.length, limit: MAX_TAGS });
+        }
+        for (const key of keys) {
+            if (!key || Array.from(key).length > MAX_TAG_KEY_LENGTH || !valid.test(key) || /^aws:/i.test(key)) {
+                return RED._("aws.error.invalid-tag-key", { key: key });
+            }
+            if (Array.from(tags[key]).length > MAX_TAG_VALUE_LENGTH || !valid.test(tags[key])) {
+                return RED._("aws.error.invalid-tag-value", { key: key });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Object tags as the URL-encoded query string S3 expects in the Tagging parameter.
+     */
+    function encodeTags(tags) {
+        return Object.keys(tags).map(function(key) {
+            return encodeURIComponent(key) + "=" + encodeURIComponent(tags[key]);
+        }).join("&");
+    }
+
+    /**
+     * Keep, delete or move an uploaded local file as set in the node, and return the
+     * new path if it was moved. The upload has succeeded by then, so a failure is
+     * logged rather than failing the message.
+     */
+    async function afterUpload(node, localPath) {
+        try {
+            if (node.afterUpload === "delete") {
+                await fs.promises.unlink(localPath);
+            } else if (node.afterUpload === "move") {
+                const movedTo = path.join(node.movePath, path.basename(localPath));
+                await fs.promises.mkdir(node.movePath, { recursive: true });
+                try {
+                    await fs.promises.rename(localPath, movedTo);
+                } catch (err) {
+                    if (err.code !== "EXDEV") {
+                        throw err;
+                    }
+                    // Another file system: copy, then remove the original
+                    await fs.promises.copyFile(localPath, movedTo);
+                    await fs.promises.unlink(localPath);
+                }
+                return movedTo;
+            }
+        } catch (err) {
+            node.warn(RED._("aws.warn.after-upload-failed", { action: node.afterUpload, localPath: localPath, err: err.message }));
+        }
+        return undefined;
+    }
+
+    /**
+     * Cut a stream of chunks into Buffers of `size` bytes (the last may be shorter),
+     * reading no further ahead than the part being built.
+     */
+    async function* uploadParts(source, size) {
+        let buffered = [];
+        let length = 0;
+        for await (const chunk of source) {
+            const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            let offset = 0;
+            while (length + data.length - offset >= size) {
+                const end = offset + size - length;
+                buffered.push(data.subarray(offset, end));
+                yield Buffer.concat(buffered, size);
+                buffered = [];
+                length = 0;
+                offset = end;
+            }
+            if (offset < data.length) {
+                buffered.push(data.subarray(offset));
+                length += data.length - offset;
+            }
+        }
+        if (length > 0) {
+            yield Buffer.concat(buffered, length);
+        }
+    }
+
+    /**
+     * Abort a multipart upload so its parts do not accrue storage charges. A failure is
+     * only logged: the caller is already handling an error or closing.
+     */
+    async function abortUpload(node, upload, msg) {
+        try {
+            await sendCommand(node, upload.bucket, new AbortMultipartUploadCommand({
+                Bucket: upload.bucket,
+                Key: upload.key,
+                UploadId: upload.uploadId
+            }), msg || {});
+        } catch (err) {
+            node.warn(RED._("aws.warn.abort-failed", { key: upload.key, uploadId: upload.uploadId, err: err.message || err.toString() }));
+        }
+    }
+
+    /**
+     * Upload a body read from `source` (Buffers or strings) and return the response of
+     * the request that stored it. Bodies that fit in one part of node.partSize bytes
+     * take a single PutObject; larger ones a multipart upload with up to
+     * node.concurrency parts in flight, each tried up to MAX_PART_ATTEMPTS times. Only
+     * the parts in flight (and the second part, read to tell the two apart) are held
+     * in memory. The upload is recorded in `uploads` while it runs, so that the node can
+     * call `abort()` on close and wait for `finished`: that stops reading the source and
+     * cancels the requests in flight. A multipart upload that fails or is stopped is
+     * aborted here once no part is in flight any more, so that no part is stored after
+     * the abort. CreateMultipartUpload is not cancelled, so its UploadId always comes
+     * back to be aborted.
+     */
+    async function uploadBody(node, bucket, params, source, size, msg, uploads) {
+        // Buffers of a known size use larger parts if needed to stay within the part limit
+        const partSize = Math.max(node.partSize || DEFAULT_PART_SIZE, Math.ceil((size || 0) / MAX_UPLOAD_PARTS));
+        const concurrency = node.concurrency || DEFAULT_CONCURRENCY;
+        const reportProgress = progressReporter(node, "aws.status.upload-progress");
+        const parts = uploadParts(source, partSize);
+        const controller = new AbortController();
+        const upload = { bucket: bucket, key: params.Key, uploadId: null, aborted: false };
+        const stopped = new Promise(function(resolve, reject) {
+            controller.signal.addEventListener("abort", function() {
+                reject(new Error(RED._("aws.error.upload-aborted")));
+            });
         });
+        stopped.catch(function() {}); // Only raced against reads of the source
+        let finish;
+        upload.finished = new Promise(function(resolve) {
+            finish = resolve;
+        });
+        upload.abort = function() {
+            upload.aborted = true;
+            controller.abort();
+            if (typeof source.destroy === "function") {
+                source.destroy();
+            }
+        };
+        const completed = [];
+        const inFlight = new Set();
+        let partNumber = 0;
+        let uploaded = 0;
+        let failed = null;
+        uploads.add(upload);
+
+        // The next part of the source, unless the upload is stopped first
+        function nextPart() {
+            return Promise.race([parts.next(), stopped]);
+        }
+
+        async function uploadPart(number, data) {
+            let attempts = 0;
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const response = await sendCommand(node, bucket, new UploadPartCommand(Object.assign({
+                        Bucket: bucket,
+                        Key: params.Key,
+                        UploadId: upload.uploadId,
+                        PartNumber: number,
+                        Body: data
+                    }, customerKeyParams(params))), msg, controller.signal);
+                    attempts += (response.$metadata && response.$metadata.attempts) || 1;
+                    msg.attempts = Math.max(msg.attempts, attempts);
+                    uploaded += data.length;
+                    reportProgress(uploaded);
+                    return response.ETag;
+                } catch (err) {
+                    attempts += (err.$metadata && err.$metadata.attempts) || 1;
+                    if (attempt >= MAX_PART_ATTEMPTS || !retryablePartError(err) || upload.aborted) {
+                        throw err;
+                    }
+                }
+            }
+        }
+
+        function startPart(data) {
+            const number = ++partNumber;
+            if (number > MAX_UPLOAD_PARTS) {
+                throw new Error(RED._("aws.error.too-many-parts", { parts: MAX_UPLOAD_PARTS, size: +(partSize / 1024 / 1024).toFixed(2) }));
+            }
+            const part = uploadPart(number, data).then(function(etag) {
+                completed.push({ PartNumber: number, ETag: etag });
+            }, function(err) {
+                failed = failed || err;
+            }).then(function() {
+                inFlight.delete(part);
+            });
+            inFlight.add(part);
+        }
+
+        try {
+            const first = await nextPart();
+            const second = first.done ? first : await nextPart();
+
+            if (second.done) {
+                const body = first.done ? Buffer.alloc(0) : first.value;
+                const response = await sendCommand(node, bucket, new PutObjectCommand(Object.assign({}, params, { Body: body })), msg, controller.signal);
+                recordAttempts(msg, response);
+                return response;
+            }
+
+            const created = await sendCommand(node, bucket, new CreateMultipartUploadCommand(params), msg);
+            recordAttempts(msg, created);
+            upload.uploadId = created.UploadId;
+            const read = [first.value, second.value];
+
+            // Wait for a free slot before reading the next part from the source
+            for (;;) {
+                while (inFlight.size >= concurrency && !failed && !upload.aborted) {
+                    await Promise.race(inFlight);
+                }
+                if (failed || upload.aborted) {
+                    break;
+                }
+                const next = read.length ? { value: read.shift(), done: false } : await nextPart();
+                if (next.done) {
+                    break;
+                }
+                startPart(next.value);
+            }
+            await Promise.all(inFlight);
+            if (upload.aborted) {
+                throw new Error(RED._("aws.error.upload-aborted"));
+            }
+            if (failed) {
+                throw failed;
+            }
+
+            completed.sort(function(a, b) {
+                return a.PartNumber - b.PartNumber;
+            });
+            const response = await sendCommand(node, bucket, new CompleteMultipartUploadCommand(Object.assign({
+                Bucket: bucket,
+                Key: params.Key,
+                UploadId: upload.uploadId,
+                MultipartUpload: { Parts: completed }
+            }, customerKeyParams(params))), msg, controller.signal);
+            response.parts = completed.length;
+            return response;
+        } catch (err) {
+            // Stop reading the source; a read that is stuck is left behind
+            parts.return().catch(function() {});
+            await Promise.all(inFlight);
+            if (upload.uploadId) {
+                await abortUpload(node, upload, msg);
+            }
+            throw upload.aborted ? new Error(RED._("aws.error.upload-aborted")) : err;
+        } finally {
+            uploads.delete(upload);
+            finish();
+        }
     }
 
     /**
@@ -383,5 +2260,9 @@
         return mimeTypes[ext] || "application/octet-stream";
     }
 
-    RED.nodes.registerType("epi-aws-s3-upload", EpiAmazonS3UploadNode);
+    RED.nodes.registerType("epi-aws-s3-upload", EpiAmazonS3UploadNode, {
+        credentials: {
+            sseCustomerKey: { type: "password" }
+        }
+    });
 };
@@ -22,12 +22,106 @@ jest.mock("@aws-sdk/client-s3", () => {
         })),
         GetObjectCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'GetObject' })),
         PutObjectCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'PutObject' })),
+        ListBucketsCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'ListBuckets' })),
+        GetBucketLocationCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'GetBucketLocation' })),
+        HeadBucketCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'HeadBucket' })),
+        CreateMultipartUploadCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'CreateMultipartUpload' })),
+        UploadPartCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'UploadPart' })),
+        CompleteMultipartUploadCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'CompleteMultipartUpload' })),
+        AbortMultipartUploadCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'AbortMultipartUpload' })),
         __mockSend: mockSend,
         __mockDestroy: mockDestroy
     };
 });
 
-const { S3Client, GetObjectCommand, PutObjectCommand, __mockSend, __mockDestroy } = require("@aws-sdk/client-s3");
+jest.mock("@aws-sdk/client-sts", () => {
+    const mockSend = jest.fn();
+
+    return {
+        STSClient: jest.fn().mockImplementation(() => ({
+            send: mockSend,
+            destroy: jest.fn()
+        })),
+        GetCallerIdentityCommand: jest.fn().mockImplementation((params) => ({ ...params, _type: 'GetCallerIdentity' })),
+        __mockSend: mockSend
+    };
+});
+
+jest.mock("@smithy/node-http-handler", () => ({
+    NodeHttpHandler: jest.fn().mockImplementation((options) => ({ options }))
+}));
+
+jest.mock("@aws-sdk/credential-providers", () => ({
+    fromEnv: jest.fn().mockImplementation(() => function envProvider() {}),
+    fromIni: jest.fn().mockImplementation(() => function iniProvider() {}),
+    fromNodeProviderChain: jest.fn().mockImplementation(() => function chainProvider() {}),
+    fromTemporaryCredentials: jest.fn()
+}));
+
+const { S3Client, GetObjectCommand, PutObjectCommand, ListBucketsCommand, __mockSend, __mockDestroy } = require("@aws-sdk/client-s3");
+const { STSClient, __mockSend: __mockStsSend } = require("@aws-sdk/client-sts");
+const { fromEnv, fromIni, fromNodeProviderChain, fromTemporaryCredentials } = require("@aws-sdk/credential-providers");
+const { NodeHttpHandler } = require("@smithy/node-http-handler");
+
+/**
+ * Build a test flow: node "n1" of the given type, its config node "c1" and helper
+ * node "h1" wired to n1's output. `settings` and `config` are merged into n1 and c1;
+ * c1 gets test keys unless `credentials.c1` overrides them.
+ */
+const buildFlow = (type, settings, config, credentials = {}) => ({
+    flow: [Object.assign({
+        id: "n1",
+        type: type,
+        name: "test",
+        aws: "c1",
+        wires: [["h1"]]
+    }, settings), Object.assign({
+        id: "c1",
+        type: "epi-aws-config"
+    }, config), {
+        id: "h1",
+        type: "helper"
+    }],
+    credentials: Object.assign({
+        c1: Object.assign({ accesskeyid: "test", secretaccesskey: "test" }, credentials.c1)
+    }, credentials.n1 && { n1: credentials.n1 })
+});
+
+/**
+ * The nodes with RED._ returning the English messages rather than their keys, for
+ * tests that check the text of a message.
+ */
+const messages = require("../locales/en-US/epi-aws.json");
+const localizedNode = (RED) => {
+    RED._ = (key, params) => key.split(".").reduce((value, name) => value[name], messages)
+        .replace(/__(\w+)__/g, (match, name) => params[name]);
+    return awsNode(RED);
+};
+
+/**
+ * Load a flow from buildFlow and send `input` to n1; passes once `check(msg, n1)`
+ * accepts the first message h1 receives. n1.warn and n1.error are spied on. The flow
+ * is loaded with `node` if given, e.g. localizedNode.
+ */
+const expectOutput = ({ flow, credentials, node = awsNode }, input, check) => (done) => {
+    helper.load(node, flow, credentials, () => {
+        const n1 = helper.getNode("n1");
+        const h1 = helper.getNode("h1");
+        jest.spyOn(n1, "warn");
+        jest.spyOn(n1, "error");
+
+        h1.on("input", async (msg) => {
+            try {
+                await check(msg, n1);
+                done();
+            } catch(err) {
+                done(err);
+            }
+        });
+
+        n1.receive(input);
+    });
+};
 
 describe('epi-aws-s3 Nodes', () => {
     jest.setTimeout(10000);
@@ -119,257 +213,2238 @@ describe('epi-aws-s3 Nodes', () => {
         });
     });
 
-    // ==================== DOWNLOAD NODE TESTS ====================
-    describe('S3 Download Node (epi-aws-s3)', () => {
-
-        describe('Configuration', () => {
-            it('should load with correct defaults', (done) => {
-                const flow = [{
-                    id: "n1",
-                    type: "epi-aws-s3",
-                    name: "test-download",
-                    aws: "c1",
-                    region: "eu-west-1"
-                }, {
-                    id: "c1",
-                    type: "epi-aws-config",
-                    name: "test-config"
-                }];
-
-                const credentials = {
-                    c1: {
-                        accesskeyid: "AKIATEST",
-                        secretaccesskey: "secrettest"
-                    }
-                };
+    // ==================== PROXY TESTS ====================
+    describe('Proxy Settings', () => {
+        const { HttpsProxyAgent } = require("https-proxy-agent");
+        const { HttpProxyAgent } = require("http-proxy-agent");
+        const proxyEnv = ["HTTPS_PROXY", "https_proxy", "HTTP_PROXY", "http_proxy", "NO_PROXY", "no_proxy"];
+        let savedEnv;
+
+        beforeEach(() => {
+            savedEnv = {};
+            proxyEnv.forEach((name) => {
+                savedEnv[name] = process.env[name];
+                delete process.env[name];
+            });
+        });
 
-                helper.load(awsNode, flow, credentials, () => {
-                    const n1 = helper.getNode("n1");
-                    try {
-                        expect(n1.name).toBe('test-download');
-                        expect(n1.region).toBe('eu-west-1');
-                        expect(S3Client).toHaveBeenCalledWith({
-                            region: 'eu-west-1',
-                            credentials: {
-                                accessKeyId: 'AKIATEST',
-                                secretAccessKey: 'secrettest'
-                            }
-                        });
-                        done();
-                    } catch(err) {
-                        done(err);
-                    }
-                });
+        afterEach(() => {
+            proxyEnv.forEach((name) => {
+                if (savedEnv[name] === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = savedEnv[name];
+                }
             });
+        });
 
-            it('should use default region when not specified', (done) => {
-                const flow = [{
-                    id: "n1",
-                    type: "epi-aws-s3",
-                    name: "test",
-                    aws: "c1"
-                }, {
-                    id: "c1",
-                    type: "epi-aws-config"
-                }];
+        const getFlow = (config, proxyCredentials) =>
+            buildFlow("epi-aws-s3", { region: "eu-west-1" }, config, { c1: proxyCredentials });
 
-                const credentials = {
-                    c1: { accesskeyid: "test", secretaccesskey: "test" }
-                };
+        it('should send S3 traffic through the configured proxy', (done) => {
+            const { flow, credentials } = getFlow(
+                { proxyUrl: "http://proxy.example.com:3128" },
+                { proxyusername: "user", proxypassword: "p@ss" }
+            );
 
-                helper.load(awsNode, flow, credentials, () => {
-                    const n1 = helper.getNode("n1");
-                    try {
-                        expect(n1.region).toBe('us-east-1');
-                        done();
-                    } catch(err) {
-                        done(err);
-                    }
-                });
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const options = NodeHttpHandler.mock.calls[0][0];
+                    expect(options.httpsAgent).toBeInstanceOf(HttpsProxyAgent);
+                    expect(options.httpAgent).toBeInstanceOf(HttpProxyAgent);
+                    expect(options.httpsAgent.proxy.host).toBe("proxy.example.com:3128");
+                    expect(options.httpsAgent.proxy.username).toBe("user");
+                    expect(decodeURIComponent(options.httpsAgent.proxy.password)).toBe("p@ss");
+                    expect(options.httpsAgent.maxSockets).toBe(50);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
             });
+        });
 
-            it('should warn and set error status when credentials are missing', (done) => {
-                const flow = [{
-                    id: "n1",
-                    type: "epi-aws-s3",
-                    name: "test",
-                    aws: "c1"
-                }, {
-                    id: "c1",
-                    type: "epi-aws-config"
-                }];
-
-                helper.load(awsNode, flow, {}, () => {
-                    const n1 = helper.getNode("n1");
-                    // Node should have been warned
-                    setTimeout(() => {
-                        done();
-                    }, 50);
-                });
+        it('should pass TLS options to the tunnelled connection', (done) => {
+            const { flow, credentials } = getFlow({
+                proxyUrl: "http://proxy.example.com:3128",
+                allowSelfSigned: true
             });
-        });
 
-        describe('Input Validation', () => {
-            const getFlowWithCredentials = () => ({
-                flow: [{
-                    id: "n1",
-                    type: "epi-aws-s3",
-                    name: "test",
-                    aws: "c1",
-                    wires: [["h1"]]
-                }, {
-                    id: "c1",
-                    type: "epi-aws-config"
-                }, {
-                    id: "h1",
-                    type: "helper"
-                }],
-                credentials: {
-                    c1: { accesskeyid: "test", secretaccesskey: "test" }
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const agent = NodeHttpHandler.mock.calls[0][0].httpsAgent;
+                    expect(agent.tlsOptions.rejectUnauthorized).toBe(false);
+                    done();
+                } catch(err) {
+                    done(err);
                 }
             });
+        });
 
-            it('should error when bucket is not specified', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
-
-                helper.load(awsNode, flow, credentials, () => {
-                    const n1 = helper.getNode("n1");
-                    const h1 = helper.getNode("h1");
-
-                    let errorCalled = false;
-                    n1.error = (msg) => { errorCalled = true; };
+        it('should use HTTPS_PROXY from the environment', (done) => {
+            process.env.HTTPS_PROXY = "http://env-proxy.example.com:8080";
+            const { flow, credentials } = getFlow({});
 
-                    h1.on("input", () => {
-                        done(new Error("Message should not have been sent without bucket"));
-                    });
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const agent = NodeHttpHandler.mock.calls[0][0].httpsAgent;
+                    expect(agent).toBeInstanceOf(HttpsProxyAgent);
+                    expect(agent.proxy.hostname).toBe("env-proxy.example.com");
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
 
-                    n1.receive({ filename: "test.txt" });
+        it('should bypass the proxy for hosts in NO_PROXY', (done) => {
+            process.env.HTTPS_PROXY = "http://env-proxy.example.com:8080";
+            process.env.NO_PROXY = "localhost,.amazonaws.com";
+            const { flow, credentials } = getFlow({});
 
-                    setTimeout(() => {
-                        expect(errorCalled).toBe(true);
-                        done();
-                    }, 100);
-                });
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const agent = NodeHttpHandler.mock.calls[0][0].httpsAgent;
+                    expect(agent).not.toBeInstanceOf(HttpsProxyAgent);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
             });
+        });
 
-            it('should error when filename is not specified', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
-                flow[0].bucket = "test-bucket";
-
-                helper.load(awsNode, flow, credentials, () => {
-                    const n1 = helper.getNode("n1");
+        it('should bypass the proxy for endpoints in the no-proxy list', (done) => {
+            const { flow, credentials } = getFlow({
+                proxyUrl: "http://proxy.example.com:3128",
+                noProxy: "minio.internal",
+                endpoint: "https://minio.internal:9000"
+            });
 
-                    let errorCalled = false;
-                    n1.error = (msg) => { errorCalled = true; };
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const agent = NodeHttpHandler.mock.calls[0][0].httpsAgent;
+                    expect(agent).not.toBeInstanceOf(HttpsProxyAgent);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
 
-                    n1.receive({});
+        it('should fail initialization with an invalid proxy URL', (done) => {
+            const { flow, credentials } = getFlow({ proxyUrl: "proxy.example.com:3128" });
 
-                    setTimeout(() => {
-                        expect(errorCalled).toBe(true);
-                        done();
-                    }, 100);
-                });
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    expect(S3Client).not.toHaveBeenCalled();
+                    done();
+                } catch(err) {
+                    done(err);
+                }
             });
+        });
+    });
 
-            it('should accept bucket and filename from msg object', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
-
-                // Mock successful download
-                const mockStream = {
-                    async *[Symbol.asyncIterator]() {
-                        yield Buffer.from("test content");
-                    }
-                };
-                __mockSend.mockResolvedValueOnce({ Body: mockStream });
+    // ==================== TEST CONNECTION TESTS ====================
+    describe('Test Connection Endpoint', () => {
+        const flow = [{ id: "c1", type: "epi-aws-config" }];
 
-                helper.load(awsNode, flow, credentials, () => {
-                    const n1 = helper.getNode("n1");
-                    const h1 = helper.getNode("h1");
+        it('should verify unsaved credentials with STS GetCallerIdentity', (done) => {
+            __mockStsSend.mockResolvedValueOnce({
+                Account: "123456789012",
+                Arn: "arn:aws:iam::123456789012:user/gateway",
+                UserId: "AIDATEST"
+            });
 
-                    h1.on("input", (msg) => {
+            helper.load(awsNode, flow, {}, () => {
+                helper.request()
+                    .post("/epi-aws-config/c1/test")
+                    .send({ credentials: { accesskeyid: "AKIANEW", secretaccesskey: "new-secret" } })
+                    .expect(200)
+                    .end((err, res) => {
+                        if (err) {
+                            return done(err);
+                        }
                         try {
-                            expect(msg.bucket).toBe("msg-bucket");
-                            expect(msg.filename).toBe("msg-file.txt");
-                            expect(msg.payload.toString()).toBe("test content");
+                            expect(res.body).toEqual({
+                                ok: true,
+                                account: "123456789012",
+                                arn: "arn:aws:iam::123456789012:user/gateway",
+                                userId: "AIDATEST"
+                            });
+                            expect(STSClient.mock.calls[0][0].credentials).toEqual({
+                                accessKeyId: "AKIANEW",
+                                secretAccessKey: "new-secret"
+                            });
                             done();
-                        } catch(err) {
-                            done(err);
+                        } catch(e) {
+                            done(e);
                         }
                     });
-
-                    n1.receive({
-                        bucket: "msg-bucket",
-                        filename: "msg-file.txt"
-                    });
-                });
             });
+        });
 
-            it('should prefer node config over msg properties', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
-                flow[0].bucket = "node-bucket";
-                flow[0].filename = "node-file.txt";
-
-                const mockStream = {
-                    async *[Symbol.asyncIterator]() {
-                        yield Buffer.from("content");
-                    }
-                };
-                __mockSend.mockResolvedValueOnce({ Body: mockStream });
-
-                helper.load(awsNode, flow, credentials, () => {
-                    const n1 = helper.getNode("n1");
-                    const h1 = helper.getNode("h1");
+        it('should fall back to saved credentials for unchanged password fields', (done) => {
+            __mockStsSend.mockResolvedValueOnce({ Account: "1", Arn: "arn", UserId: "id" });
+            const credentials = {
+                c1: { accesskeyid: "AKIASAVED", secretaccesskey: "saved-secret" }
+            };
 
-                    h1.on("input", (msg) => {
+            helper.load(awsNode, flow, credentials, () => {
+                helper.request()
+                    .post("/epi-aws-config/c1/test")
+                    .send({ credentials: { accesskeyid: "__PWRD__", secretaccesskey: "__PWRD__" } })
+                    .expect(200)
+                    .end((err, res) => {
+                        if (err) {
+                            return done(err);
+                        }
                         try {
-                            expect(msg.bucket).toBe("node-bucket");
-                            expect(msg.filename).toBe("node-file.txt");
+                            expect(res.body.ok).toBe(true);
+                            expect(STSClient.mock.calls[0][0].credentials.accessKeyId).toBe("AKIASAVED");
                             done();
-                        } catch(err) {
-                            done(err);
+                        } catch(e) {
+                            done(e);
                         }
                     });
+            });
+        });
 
-                    n1.receive({
-                        bucket: "msg-bucket",
-                        filename: "msg-file.txt"
+        it('should list buckets to verify a custom endpoint', (done) => {
+            __mockSend.mockResolvedValueOnce({
+                Owner: { DisplayName: "minio" },
+                Buckets: [{ Name: "a" }, { Name: "b" }]
+            });
+
+            helper.load(awsNode, flow, {}, () => {
+                helper.request()
+                    .post("/epi-aws-config/c1/test")
+                    .send({
+                        endpoint: "http://localhost:9000",
+                        forcePathStyle: true,
+                        credentials: { accesskeyid: "minio", secretaccesskey: "minio-secret" }
+                    })
+                    .expect(200)
+                    .end((err, res) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        try {
+                            expect(res.body).toEqual({
+                                ok: true,
+                                endpoint: "http://localhost:9000",
+                                owner: "minio",
+                                buckets: 2
+                            });
+                            expect(ListBucketsCommand).toHaveBeenCalled();
+                            expect(STSClient).not.toHaveBeenCalled();
+                            expect(__mockDestroy).toHaveBeenCalled();
+                            done();
+                        } catch(e) {
+                            done(e);
+                        }
                     });
-                });
+            });
+        });
+
+        it('should classify invalid credentials', (done) => {
+            const error = new Error("The security token included in the request is invalid.");
+            error.name = "InvalidClientTokenId";
+            error.$metadata = { httpStatusCode: 403 };
+            __mockStsSend.mockRejectedValueOnce(error);
+
+            helper.load(awsNode, flow, {}, () => {
+                helper.request()
+                    .post("/epi-aws-config/c1/test")
+                    .send({ credentials: { accesskeyid: "AKIABAD", secretaccesskey: "bad" } })
+                    .expect(200)
+                    .end((err, res) => {
+                        if (err) {
+                            return done(err);
+                        }
+                        try {
+                            expect(res.body.ok).toBe(false);
+                            expect(res.body.error).toBe("invalid-credentials");
+                            expect(res.body.detail).toBe("The security token included in the request is invalid.");
+                            done();
+                        } catch(e) {
+                            done(e);
+                        }
+                    });
+            });
+        });
+
+        it('should classify network errors', (done) => {
+            const error = new Error("getaddrinfo ENOTFOUND sts.amazonaws.com");
+            error.code = "ENOTFOUND";
+            __mockStsSend.mockRejectedValueOnce(error);
+
+            helper.load(awsNode, flow, {}, () => {
+                helper.request()
+                    .post("/epi-aws-config/c1/test")
+                    .send({ credentials: { accesskeyid: "AKIATEST", secretaccesskey: "test" } })
+                    .end((err, res) => {
+                        try {
+                            expect(res.body.error).toBe("network-error");
+                            done(err);
+                        } catch(e) {
+                            done(e);
+                        }
+                    });
+            });
+        });
+
+        it('should report missing credentials without calling AWS', (done) => {
+            helper.load(awsNode, flow, {}, () => {
+                helper.request()
+                    .post("/epi-aws-config/c1/test")
+                    .send({ credentials: {} })
+                    .end((err, res) => {
+                        try {
+                            expect(res.body.ok).toBe(false);
+                            expect(res.body.error).toBe("no-credentials");
+                            expect(__mockStsSend).not.toHaveBeenCalled();
+                            done(err);
+                        } catch(e) {
+                            done(e);
+                        }
+                    });
+            });
+        });
+    });
+
+    // ==================== CLIENT POOL TESTS ====================
+    describe('Bucket List Endpoint', () => {
+        const flow = [{ id: "c1", type: "epi-aws-config" }];
+        const credentials = { c1: { accesskeyid: "AKIATEST", secretaccesskey: "secret" } };
+
+        const listBuckets = (body) => helper.request()
+            .post("/epi-aws-config/c1/buckets")
+            .send(body || {})
+            .expect(200);
+
+        it('should list buckets with their regions, sorted by name', (done) => {
+            __mockSend.mockResolvedValueOnce({
+                Buckets: [
+                    { Name: "telemetry", BucketRegion: "eu-west-1" },
+                    { Name: "archive", BucketRegion: "us-east-2" }
+                ]
+            });
+
+            helper.load(awsNode, flow, credentials, () => {
+                listBuckets().end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    try {
+                        expect(res.body).toEqual({
+                            ok: true,
+                            buckets: [
+                                { name: "archive", region: "us-east-2" },
+                                { name: "telemetry", region: "eu-west-1" }
+                            ]
+                        });
+                        expect(S3Client.mock.calls[0][0].credentials).toEqual({
+                            accessKeyId: "AKIATEST",
+                            secretAccessKey: "secret"
+                        });
+                        expect(__mockDestroy).toHaveBeenCalled();
+                        done();
+                    } catch(e) {
+                        done(e);
+                    }
+                });
+            });
+        });
+
+        it('should look up regions that are not listed with GetBucketLocation', (done) => {
+            __mockSend.mockImplementation((command) => {
+                if (command._type === 'ListBuckets') {
+                    return Promise.resolve({ Buckets: [{ Name: "legacy" }, { Name: "old-eu" }, { Name: "private" }] });
+                }
+                if (command.Bucket === "legacy") {
+                    return Promise.resolve({ LocationConstraint: undefined });
+                }
+                if (command.Bucket === "old-eu") {
+                    return Promise.resolve({ LocationConstraint: "EU" });
+                }
+                return Promise.reject(Object.assign(new Error("Access Denied"), { name: "AccessDenied" }));
+            });
+
+            helper.load(awsNode, flow, credentials, () => {
+                listBuckets().end((err, res) => {
+                    __mockSend.mockReset();
+                    if (err) {
+                        return done(err);
+                    }
+                    try {
+                        expect(res.body.buckets).toEqual([
+                            { name: "legacy", region: "us-east-1" },
+                            { name: "old-eu", region: "eu-west-1" },
+                            { name: "private", region: "" }
+                        ]);
+                        done();
+                    } catch(e) {
+                        done(e);
+                    }
+                });
+            });
+        });
+
+        it('should not look up regions on a custom endpoint', (done) => {
+            __mockSend.mockResolvedValueOnce({ Buckets: [{ Name: "minio-bucket" }] });
+
+            helper.load(awsNode, flow, credentials, () => {
+                listBuckets({ endpoint: "http://minio.local:9000", forcePathStyle: true }).end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    try {
+                        expect(res.body.buckets).toEqual([{ name: "minio-bucket", region: "" }]);
+                        expect(__mockSend).toHaveBeenCalledTimes(1);
+                        expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({
+                            endpoint: "http://minio.local:9000"
+                        }));
+                        done();
+                    } catch(e) {
+                        done(e);
+                    }
+                });
+            });
+        });
+
+        it('should classify errors listing the buckets', (done) => {
+            const error = new Error("Access Denied");
+            error.name = "AccessDenied";
+            error.$metadata = { httpStatusCode: 403 };
+            __mockSend.mockRejectedValueOnce(error);
+
+            helper.load(awsNode, flow, credentials, () => {
+                listBuckets().end((err, res) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    try {
+                        expect(res.body.ok).toBe(false);
+                        expect(res.body.error).toBe("access-denied");
+                        expect(res.body.detail).toBe("Access Denied");
+                        done();
+                    } catch(e) {
+                        done(e);
+                    }
+                });
+            });
+        });
+    });
+
+    describe('Shared Client Pool', () => {
+        const getFlow = (config) => {
+            const fixture = buildFlow("epi-aws-s3", { name: "download", region: "eu-west-1" }, config);
+            fixture.flow.push({
+                id: "n2",
+                type: "epi-aws-s3-upload",
+                name: "upload",
+                aws: "c1",
+                region: "eu-west-1"
+            }, {
+                id: "n3",
+                type: "epi-aws-s3",
+                name: "other-region",
+                aws: "c1",
+                region: "us-west-2"
+            });
+            return fixture;
+        };
+
+        it('should share one S3Client per region between nodes', (done) => {
+            const { flow, credentials } = getFlow({});
+
+            helper.load(awsNode, flow, credentials, () => {
+                const c1 = helper.getNode("c1");
+                try {
+                    expect(S3Client).toHaveBeenCalledTimes(2);
+                    expect(S3Client.mock.calls.map((call) => call[0].region)).toEqual(["eu-west-1", "us-west-2"]);
+                    expect(c1.getClient("eu-west-1")).toBe(c1.getClient("eu-west-1"));
+                    expect(c1.getClient("eu-west-1")).not.toBe(c1.getClient("us-west-2"));
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should configure keep-alive and max sockets on the connection pool', (done) => {
+            const { flow, credentials } = getFlow({ keepAlive: false, maxSockets: "8" });
+
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const options = NodeHttpHandler.mock.calls[0][0];
+                    expect(options.httpsAgent.keepAlive).toBe(false);
+                    expect(options.httpsAgent.maxSockets).toBe(8);
+                    expect(options.httpAgent.maxSockets).toBe(8);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should default to keep-alive with 50 sockets', (done) => {
+            const { flow, credentials } = getFlow({});
+
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const options = NodeHttpHandler.mock.calls[0][0];
+                    expect(options.httpsAgent.keepAlive).toBe(true);
+                    expect(options.httpsAgent.maxSockets).toBe(50);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should destroy the shared clients when the config node closes', (done) => {
+            const { flow, credentials } = getFlow({});
+
+            helper.load(awsNode, flow, credentials, () => {
+                const c1 = helper.getNode("c1");
+
+                c1.close().then(() => {
+                    expect(__mockDestroy).toHaveBeenCalledTimes(2);
+                    done();
+                }).catch(done);
+            });
+        });
+    });
+
+    // ==================== CREDENTIAL SOURCE TESTS ====================
+    describe('Credential Sources', () => {
+        const getFlow = (config) => buildFlow("epi-aws-s3", {}, config);
+
+        it('should use environment variables without static keys', (done) => {
+            const { flow } = getFlow({ credentialSource: "env" });
+            const envCredentials = { accessKeyId: "AKIAENV", secretAccessKey: "env-secret" };
+            const envProvider = jest.fn().mockResolvedValue(envCredentials);
+            fromEnv.mockImplementationOnce(() => envProvider);
+
+            helper.load(awsNode, flow, {}, async () => {
+                const configNode = helper.getNode("c1");
+                try {
+                    expect(fromEnv).toHaveBeenCalled();
+                    expect(typeof configNode.awsCredentials).toBe("function");
+                    const clientCredentials = S3Client.mock.calls[0][0].credentials;
+                    await expect(clientCredentials()).resolves.toBe(envCredentials);
+                    await expect(clientCredentials()).resolves.toBe(envCredentials);
+                    // Resolved once and shared, as the SDK would cache them
+                    expect(envProvider).toHaveBeenCalledTimes(1);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should use a named shared credentials profile', (done) => {
+            const { flow } = getFlow({ credentialSource: "profile", profile: "gateway" });
+
+            helper.load(awsNode, flow, {}, () => {
+                try {
+                    expect(fromIni).toHaveBeenCalledWith({ profile: "gateway" });
+                    expect(S3Client).toHaveBeenCalled();
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should use the default provider chain', (done) => {
+            const { flow } = getFlow({ credentialSource: "chain" });
+
+            helper.load(awsNode, flow, {}, () => {
+                try {
+                    expect(fromNodeProviderChain).toHaveBeenCalled();
+                    expect(S3Client).toHaveBeenCalled();
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should ignore static keys when another source is selected', (done) => {
+            const { flow } = getFlow({ credentialSource: "env" });
+            const credentials = {
+                c1: { accesskeyid: "test", secretaccesskey: "test" }
+            };
+
+            helper.load(awsNode, flow, credentials, () => {
+                const configNode = helper.getNode("c1");
+                try {
+                    expect(typeof configNode.awsCredentials).toBe("function");
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should fall back to static keys for an unknown source', (done) => {
+            const { flow } = getFlow({ credentialSource: "bogus" });
+
+            helper.load(awsNode, flow, {}, () => {
+                const configNode = helper.getNode("c1");
+                try {
+                    expect(configNode.credentialSource).toBe("static");
+                    expect(configNode.awsCredentials).toBeNull();
+                    expect(S3Client).not.toHaveBeenCalled();
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    // ==================== SESSION TOKEN TESTS ====================
+    describe('Session Tokens and Runtime Credentials', () => {
+        const getFlow = () => buildFlow("epi-aws-s3", { bucket: "test-bucket", filename: "test.txt" });
+
+        const mockDownload = () => {
+            __mockSend.mockResolvedValueOnce({
+                Body: {
+                    async *[Symbol.asyncIterator]() {
+                        yield Buffer.from("content");
+                    }
+                }
+            });
+        };
+
+        it('should pass the session token to the S3Client', (done) => {
+            const { flow } = getFlow();
+            const credentials = {
+                c1: { accesskeyid: "ASIATEST", secretaccesskey: "secret", sessiontoken: "token" }
+            };
+
+            helper.load(awsNode, flow, credentials, async () => {
+                try {
+                    await expect(S3Client.mock.calls[0][0].credentials()).resolves.toEqual({
+                        accessKeyId: "ASIATEST",
+                        secretAccessKey: "secret",
+                        sessionToken: "token"
+                    });
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should update the credentials from msg.awsCredentials', (done) => {
+            const { flow } = getFlow();
+            const credentials = {
+                c1: { accesskeyid: "old", secretaccesskey: "old-secret" }
+            };
+            mockDownload();
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+                const c1 = helper.getNode("c1");
+
+                h1.on("input", async (msg) => {
+                    try {
+                        expect(msg.awsCredentials).toBeUndefined();
+                        expect(c1.awsCredentials).toEqual({
+                            accessKeyId: "ASIANEW",
+                            secretAccessKey: "new-secret",
+                            sessionToken: "new-token"
+                        });
+                        // The pooled client is kept, and signs with the new credentials
+                        expect(S3Client).toHaveBeenCalledTimes(1);
+                        await expect(S3Client.mock.calls[0][0].credentials()).resolves.toEqual(c1.awsCredentials);
+                        expect(__mockDestroy).not.toHaveBeenCalled();
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({
+                    awsCredentials: {
+                        AccessKeyId: "ASIANEW",
+                        SecretAccessKey: "new-secret",
+                        SessionToken: "new-token"
+                    }
+                });
+            });
+        });
+
+        it('should accept credentials at runtime when none are configured', (done) => {
+            const { flow } = getFlow();
+            mockDownload();
+
+            helper.load(awsNode, flow, {}, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+
+                h1.on("input", async (msg) => {
+                    try {
+                        expect(msg.payload.toString()).toBe("content");
+                        await expect(S3Client.mock.calls[0][0].credentials()).resolves.toMatchObject({ accessKeyId: "ASIANEW" });
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({
+                    awsCredentials: { accessKeyId: "ASIANEW", secretAccessKey: "new-secret" }
+                });
+            });
+        });
+
+        it('should ignore msg.awsCredentials that have not changed', (done) => {
+            const { flow } = getFlow();
+            const credentials = {
+                c1: { accesskeyid: "old", secretaccesskey: "old-secret" }
+            };
+            const awsCredentials = { accessKeyId: "ASIANEW", secretAccessKey: "new-secret", sessionToken: "new-token" };
+            mockDownload();
+            mockDownload();
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+                const c1 = helper.getNode("c1");
+                const updated = [];
+
+                h1.on("input", () => {
+                    updated.push(c1.awsCredentials);
+                    if (updated.length < 2) {
+                        n1.receive({ awsCredentials: Object.assign({}, awsCredentials) });
+                        return;
+                    }
+                    try {
+                        expect(updated[1]).toBe(updated[0]);
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ awsCredentials: Object.assign({}, awsCredentials) });
+            });
+        });
+
+        it('should error when no credentials are configured or supplied', (done) => {
+            const { flow } = getFlow();
+
+            helper.load(awsNode, flow, {}, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+
+                let errorCalled = false;
+                n1.error = () => { errorCalled = true; };
+
+                h1.on("input", () => {
+                    done(new Error("Message should not have been sent without credentials"));
+                });
+
+                n1.receive({});
+
+                setTimeout(() => {
+                    expect(errorCalled).toBe(true);
+                    expect(__mockSend).not.toHaveBeenCalled();
+                    done();
+                }, 100);
+            });
+        });
+
+        it('should reject invalid runtime credentials', (done) => {
+            const { flow } = getFlow();
+            const credentials = {
+                c1: { accesskeyid: "old", secretaccesskey: "old-secret" }
+            };
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const c1 = helper.getNode("c1");
+
+                let errorCalled = false;
+                n1.error = () => { errorCalled = true; };
+
+                n1.receive({ awsCredentials: { accessKeyId: "missing-secret" } });
+
+                setTimeout(() => {
+                    expect(errorCalled).toBe(true);
+                    expect(c1.awsCredentials.accessKeyId).toBe("old");
+                    expect(__mockSend).not.toHaveBeenCalled();
+                    done();
+                }, 100);
+            });
+        });
+    });
+
+    // ==================== ASSUME ROLE TESTS ====================
+    describe('Assume Role', () => {
+        const roleArn = "arn:aws:iam::123456789012:role/customer-upload";
+
+        const getFlow = (config) => buildFlow("epi-aws-s3", {}, Object.assign({ roleArn: roleArn }, config), {
+            c1: { accesskeyid: "base", secretaccesskey: "base-secret" }
+        });
+
+        const temporaryCredentials = (id, expiresIn) => ({
+            accessKeyId: id,
+            secretAccessKey: "temp-secret",
+            sessionToken: "token",
+            expiration: new Date(Date.now() + expiresIn)
+        });
+
+        it('should assume the role on top of the base credentials', (done) => {
+            const { flow, credentials } = getFlow({
+                externalId: "customer-42",
+                roleSessionName: "gateway-7",
+                roleDuration: 1800
+            });
+            fromTemporaryCredentials.mockReturnValue(jest.fn());
+
+            helper.load(awsNode, flow, credentials, () => {
+                const configNode = helper.getNode("c1");
+                try {
+                    expect(typeof configNode.awsCredentials).toBe("function");
+                    expect(fromTemporaryCredentials).toHaveBeenCalledWith({
+                        masterCredentials: { accessKeyId: "base", secretAccessKey: "base-secret" },
+                        params: {
+                            RoleArn: roleArn,
+                            RoleSessionName: "gateway-7",
+                            DurationSeconds: 1800,
+                            ExternalId: "customer-42"
+                        }
+                    });
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should apply session name and duration defaults', (done) => {
+            const { flow, credentials } = getFlow({ roleDuration: 60 });
+            fromTemporaryCredentials.mockReturnValue(jest.fn());
+
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const params = fromTemporaryCredentials.mock.calls[0][0].params;
+                    expect(params.RoleSessionName).toBe("node-red-epi-aws-s3");
+                    expect(params.DurationSeconds).toBe(900);
+                    expect(params.ExternalId).toBeUndefined();
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should reuse temporary credentials until they are about to expire', (done) => {
+            const { flow, credentials } = getFlow({});
+            const stsProvider = jest.fn()
+                .mockResolvedValueOnce(temporaryCredentials("first", 60 * 60 * 1000))
+                .mockResolvedValueOnce(temporaryCredentials("second", 60 * 60 * 1000));
+            fromTemporaryCredentials.mockReturnValue(stsProvider);
+
+            helper.load(awsNode, flow, credentials, async () => {
+                const configNode = helper.getNode("c1");
+                try {
+                    const first = await configNode.awsCredentials();
+                    const again = await configNode.awsCredentials();
+                    expect(first.accessKeyId).toBe("first");
+                    expect(again).toBe(first);
+                    expect(stsProvider).toHaveBeenCalledTimes(1);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should refresh temporary credentials before they expire', (done) => {
+            const { flow, credentials } = getFlow({});
+            const stsProvider = jest.fn()
+                .mockResolvedValueOnce(temporaryCredentials("expiring", 60 * 1000))
+                .mockResolvedValueOnce(temporaryCredentials("fresh", 60 * 60 * 1000));
+            fromTemporaryCredentials.mockReturnValue(stsProvider);
+
+            helper.load(awsNode, flow, credentials, async () => {
+                const configNode = helper.getNode("c1");
+                try {
+                    const expiring = await configNode.awsCredentials();
+                    const fresh = await configNode.awsCredentials();
+                    expect(expiring.accessKeyId).toBe("expiring");
+                    expect(fresh.accessKeyId).toBe("fresh");
+                    expect(stsProvider).toHaveBeenCalledTimes(2);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should not assume a role without base credentials', (done) => {
+            const { flow } = getFlow({});
+
+            helper.load(awsNode, flow, {}, () => {
+                const configNode = helper.getNode("c1");
+                try {
+                    expect(configNode.awsCredentials).toBeNull();
+                    expect(fromTemporaryCredentials).not.toHaveBeenCalled();
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    // ==================== CONNECTION SETTINGS TESTS ====================
+    describe('Connection Settings', () => {
+        const getFlow = (config) => buildFlow("epi-aws-s3", { region: "eu-west-1" }, config);
+
+        it('should pass a custom endpoint and path-style addressing to the S3Client', (done) => {
+            const { flow, credentials } = getFlow({
+                endpoint: "http://localhost:4566",
+                forcePathStyle: true
+            });
+
+            helper.load(awsNode, flow, credentials, async () => {
+                try {
+                    expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({
+                        region: 'eu-west-1',
+                        endpoint: "http://localhost:4566",
+                        forcePathStyle: true
+                    }));
+                    await expect(S3Client.mock.calls[0][0].credentials()).resolves.toEqual({ accessKeyId: 'test', secretAccessKey: 'test' });
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should use a request handler that accepts self-signed certificates', (done) => {
+            const { flow, credentials } = getFlow({
+                endpoint: "https://minio.local:9000",
+                allowSelfSigned: true
+            });
+
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const clientConfig = S3Client.mock.calls[0][0];
+                    expect(clientConfig.requestHandler).toBeDefined();
+                    const agent = NodeHttpHandler.mock.calls[0][0].httpsAgent;
+                    expect(agent.options.rejectUnauthorized).toBe(false);
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should load a custom CA certificate from file', (done) => {
+            const fs = require("fs");
+            const os = require("os");
+            const path = require("path");
+            const caFile = path.join(os.tmpdir(), `epi-aws-ca-${process.pid}.pem`);
+            fs.writeFileSync(caFile, "-----BEGIN CERTIFICATE-----\ntest\n-----END CERTIFICATE-----\n");
+
+            const { flow, credentials } = getFlow({
+                endpoint: "https://ceph.local",
+                caFile: caFile
+            });
+
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    const agent = NodeHttpHandler.mock.calls[0][0].httpsAgent;
+                    expect(agent.options.rejectUnauthorized).toBe(true);
+                    expect(agent.options.ca).toContain("-----BEGIN CERTIFICATE-----\ntest\n-----END CERTIFICATE-----\n");
+                    // The bundle adds to the default root certificates
+                    expect(agent.options.ca.length).toBeGreaterThan(1);
+                    done();
+                } catch(err) {
+                    done(err);
+                } finally {
+                    fs.unlinkSync(caFile);
+                }
+            });
+        });
+
+        it('should fail initialization when the endpoint is not a valid URL', (done) => {
+            const { flow, credentials } = getFlow({ endpoint: "minio.local:9000" });
+
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    expect(S3Client).not.toHaveBeenCalled();
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+    });
+
+    describe('Retries and Timeouts', () => {
+        const getFlow = (config, type) =>
+            buildFlow(type || "epi-aws-s3", { bucket: "test-bucket", filename: "test.txt" }, config);
+
+        const mockBody = (content) => ({
+            async *[Symbol.asyncIterator]() {
+                yield Buffer.from(content);
+            }
+        });
+
+        it('should use standard retries with 3 attempts and no timeouts by default', (done) => {
+            const { flow, credentials } = getFlow({});
+
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({
+                        retryMode: "standard",
+                        maxAttempts: 3
+                    }));
+                    const handlerOptions = NodeHttpHandler.mock.calls[0][0];
+                    expect(handlerOptions.connectionTimeout).toBeUndefined();
+                    expect(handlerOptions.requestTimeout).toBeUndefined();
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should pass the configured retry mode, attempts and timeouts to the client', (done) => {
+            const { flow, credentials } = getFlow({
+                retryMode: "adaptive",
+                maxAttempts: "6",
+                connectionTimeout: "5000",
+                requestTimeout: "30000"
+            });
+
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({
+                        retryMode: "adaptive",
+                        maxAttempts: 6
+                    }));
+                    expect(NodeHttpHandler).toHaveBeenCalledWith(expect.objectContaining({
+                        connectionTimeout: 5000,
+                        requestTimeout: 30000,
+                        throwOnRequestTimeout: true
+                    }));
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should fall back to the defaults for invalid retry settings', (done) => {
+            const { flow, credentials } = getFlow({ retryMode: "legacy", maxAttempts: "0" });
+
+            helper.load(awsNode, flow, credentials, () => {
+                try {
+                    expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({
+                        retryMode: "standard",
+                        maxAttempts: 3
+                    }));
+                    done();
+                } catch(err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('should pass msg.timeout as the request timeout for that message', (done) => {
+            const { flow, credentials } = getFlow({ requestTimeout: "30000" });
+            __mockSend.mockResolvedValueOnce({ Body: mockBody("data"), $metadata: { attempts: 1 } });
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+
+                h1.on("input", (msg) => {
+                    try {
+                        expect(__mockSend).toHaveBeenCalledWith(expect.anything(), { requestTimeout: 2000 });
+                        expect(msg.attempts).toBe(1);
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ timeout: 2000 });
+            });
+        });
+
+        it('should report the attempts of a download that succeeded after retrying', (done) => {
+            const { flow, credentials } = getFlow({});
+            __mockSend.mockResolvedValueOnce({ Body: mockBody("data"), $metadata: { attempts: 3 } });
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+                const statusSpy = jest.spyOn(n1, "status");
+
+                h1.on("input", (msg) => {
+                    try {
+                        expect(__mockSend).toHaveBeenCalledWith(expect.anything(), {});
+                        expect(msg.payload.toString()).toBe("data");
+                        expect(msg.attempts).toBe(3);
+                        expect(statusSpy).toHaveBeenLastCalledWith(expect.objectContaining({ fill: "yellow" }));
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({});
+            });
+        });
+
+        it('should report the attempts and a timeout error when all retries fail', (done) => {
+            const { flow, credentials } = getFlow({});
+            const error = new Error("Request did not complete within 2000 ms");
+            error.name = "TimeoutError";
+            error.$metadata = { attempts: 3 };
+            __mockSend.mockRejectedValueOnce(error);
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+                const statusSpy = jest.spyOn(n1, "status");
+
+                h1.on("input", (msg) => {
+                    try {
+                        expect(msg.error).toBe(error);
+                        expect(msg.payload).toBeNull();
+                        expect(msg.attempts).toBe(3);
+                        expect(statusSpy).toHaveBeenLastCalledWith(expect.objectContaining({ fill: "red" }));
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ timeout: 2000 });
+            });
+        });
+
+        it('should report the attempts on upload results', (done) => {
+            const { flow, credentials } = getFlow({}, "epi-aws-s3-upload");
+            __mockSend.mockResolvedValueOnce({ ETag: '"abc"', $metadata: { attempts: 2 } });
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+
+                h1.on("input", (msg) => {
+                    try {
+                        expect(msg.payload.success).toBe(true);
+                        expect(msg.attempts).toBe(2);
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ payload: "data" });
+            });
+        });
+    });
+
+    describe('Bucket Region Detection', () => {
+        const getFlow = (region, config) => buildFlow("epi-aws-s3", { region: region, filename: "test.txt" }, config);
+
+        const mockBody = () => ({
+            async *[Symbol.asyncIterator]() {
+                yield Buffer.from("data");
+            }
+        });
+
+        const redirectError = (bucketRegion) => Object.assign(new Error("PermanentRedirect"), {
+            name: "PermanentRedirect",
+            $metadata: { httpStatusCode: 301 },
+            $response: { headers: { "x-amz-bucket-region": bucketRegion } }
+        });
+
+        afterEach(() => {
+            __mockSend.mockReset();
+        });
+
+        it('should discover the bucket region with HeadBucket and cache it', (done) => {
+            const { flow, credentials } = getFlow("auto");
+            __mockSend.mockImplementation((command) => command._type === 'HeadBucket' ?
+                Promise.resolve({ BucketRegion: "ap-southeast-2" }) :
+                Promise.resolve({ Body: mockBody() }));
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+                let received = 0;
+
+                h1.on("input", (msg) => {
+                    received++;
+                    if (received === 1) {
+                        n1.receive({ bucket: "sydney-bucket" });
+                        return;
+                    }
+                    try {
+                        expect(msg.payload.toString()).toBe("data");
+                        const headBuckets = __mockSend.mock.calls.filter(call => call[0]._type === 'HeadBucket');
+                        expect(headBuckets).toHaveLength(1);
+                        expect(headBuckets[0][0].Bucket).toBe("sydney-bucket");
+                        const regions = S3Client.mock.calls.map(call => call[0].region);
+                        expect(regions).toEqual(["us-east-1", "ap-southeast-2"]);
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ bucket: "sydney-bucket" });
+            });
+        });
+
+        it('should take the region from a HeadBucket redirect', (done) => {
+            const { flow, credentials } = getFlow("auto");
+            __mockSend.mockImplementation((command) => command._type === 'HeadBucket' ?
+                Promise.reject(redirectError("eu-central-1")) :
+                Promise.resolve({ Body: mockBody() }));
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+
+                h1.on("input", (msg) => {
+                    try {
+                        expect(msg.error).toBeUndefined();
+                        expect(S3Client).toHaveBeenLastCalledWith(expect.objectContaining({ region: "eu-central-1" }));
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ bucket: "frankfurt-bucket" });
+            });
+        });
+
+        it('should fall back to GetBucketLocation', (done) => {
+            const { flow, credentials } = getFlow("auto");
+            __mockSend.mockImplementation((command) => {
+                if (command._type === 'HeadBucket') {
+                    return Promise.resolve({});
+                }
+                if (command._type === 'GetBucketLocation') {
+                    return Promise.resolve({ LocationConstraint: "EU" });
+                }
+                return Promise.resolve({ Body: mockBody() });
+            });
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+
+                h1.on("input", (msg) => {
+                    try {
+                        expect(msg.error).toBeUndefined();
+                        expect(S3Client).toHaveBeenLastCalledWith(expect.objectContaining({ region: "eu-west-1" }));
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ bucket: "legacy-bucket" });
+            });
+        });
+
+        it('should retry once in the region a request is redirected to', (done) => {
+            const { flow, credentials } = getFlow("auto");
+            let getObjects = 0;
+            __mockSend.mockImplementation((command) => {
+                if (command._type === 'HeadBucket') {
+                    return Promise.resolve({ BucketRegion: "us-west-2" });
+                }
+                getObjects++;
+                return getObjects === 1 ? Promise.reject(redirectError("us-east-2")) : Promise.resolve({ Body: mockBody() });
+            });
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+
+                h1.on("input", (msg) => {
+                    try {
+                        expect(msg.error).toBeUndefined();
+                        expect(getObjects).toBe(2);
+                        expect(S3Client.mock.calls.map(call => call[0].region)).toEqual(["us-east-1", "us-west-2", "us-east-2"]);
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ bucket: "moved-bucket" });
+            });
+        });
+
+        it('should not follow redirects when a fixed region is wrong', (done) => {
+            const { flow, credentials } = getFlow("us-east-1");
+            const error = redirectError("eu-west-2");
+            __mockSend.mockRejectedValueOnce(error);
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+
+                h1.on("input", (msg) => {
+                    try {
+                        expect(msg.error).toBe(error);
+                        expect(msg.payload).toBeNull();
+                        expect(__mockSend).toHaveBeenCalledTimes(1);
+                        expect(S3Client).toHaveBeenCalledTimes(1);
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ bucket: "london-bucket" });
+            });
+        });
+
+        it('should not look up regions on a custom endpoint', (done) => {
+            const { flow, credentials } = getFlow("auto", { endpoint: "http://localhost:9000", forcePathStyle: true });
+            __mockSend.mockResolvedValueOnce({ Body: mockBody() });
+
+            helper.load(awsNode, flow, credentials, () => {
+                const n1 = helper.getNode("n1");
+                const h1 = helper.getNode("h1");
+
+                h1.on("input", (msg) => {
+                    try {
+                        expect(msg.error).toBeUndefined();
+                        expect(__mockSend).toHaveBeenCalledTimes(1);
+                        expect(__mockSend.mock.calls[0][0]._type).toBe('GetObject');
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+
+                n1.receive({ bucket: "minio-bucket" });
+            });
+        });
+    });
+
+    // ==================== DOWNLOAD NODE TESTS ====================
+    describe('S3 Download Node (epi-aws-s3)', () => {
+
+        describe('Configuration', () => {
+            it('should load with correct defaults', (done) => {
+                const flow = [{
+                    id: "n1",
+                    type: "epi-aws-s3",
+                    name: "test-download",
+                    aws: "c1",
+                    region: "eu-west-1"
+                }, {
+                    id: "c1",
+                    type: "epi-aws-config",
+                    name: "test-config"
+                }];
+
+                const credentials = {
+                    c1: {
+                        accesskeyid: "AKIATEST",
+                        secretaccesskey: "secrettest"
+                    }
+                };
+
+                helper.load(awsNode, flow, credentials, async () => {
+                    const n1 = helper.getNode("n1");
+                    try {
+                        expect(n1.name).toBe('test-download');
+                        expect(n1.region).toBe('eu-west-1');
+                        expect(S3Client).toHaveBeenCalledWith(expect.objectContaining({
+                            region: 'eu-west-1'
+                        }));
+                        // The shared clients resolve the config node's current credentials
+                        await expect(S3Client.mock.calls[0][0].credentials()).resolves.toEqual({
+                            accessKeyId: 'AKIATEST',
+                            secretAccessKey: 'secrettest'
+                        });
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+            });
+
+            it('should use default region when not specified', (done) => {
+                const flow = [{
+                    id: "n1",
+                    type: "epi-aws-s3",
+                    name: "test",
+                    aws: "c1"
+                }, {
+                    id: "c1",
+                    type: "epi-aws-config"
+                }];
+
+                const credentials = {
+                    c1: { accesskeyid: "test", secretaccesskey: "test" }
+                };
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    try {
+                        expect(n1.region).toBe('us-east-1');
+                        done();
+                    } catch(err) {
+                        done(err);
+                    }
+                });
+            });
+
+            it('should warn and set error status when credentials are missing', (done) => {
+                const flow = [{
+                    id: "n1",
+                    type: "epi-aws-s3",
+                    name: "test",
+                    aws: "c1"
+                }, {
+                    id: "c1",
+                    type: "epi-aws-config"
+                }];
+
+                helper.load(awsNode, flow, {}, () => {
+                    const n1 = helper.getNode("n1");
+                    // Node should have been warned
+                    setTimeout(() => {
+                        done();
+                    }, 50);
+                });
+            });
+        });
+
+        describe('Input Validation', () => {
+            const getFlow = () => buildFlow("epi-aws-s3");
+
+            it('should error when bucket is not specified', (done) => {
+                const { flow, credentials } = getFlow();
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    let errorCalled = false;
+                    n1.error = (msg) => { errorCalled = true; };
+
+                    h1.on("input", () => {
+                        done(new Error("Message should not have been sent without bucket"));
+                    });
+
+                    n1.receive({ filename: "test.txt" });
+
+                    setTimeout(() => {
+                        expect(errorCalled).toBe(true);
+                        done();
+                    }, 100);
+                });
+            });
+
+            it('should error when filename is not specified', (done) => {
+                const { flow, credentials } = getFlow();
+                flow[0].bucket = "test-bucket";
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+
+                    let errorCalled = false;
+                    n1.error = (msg) => { errorCalled = true; };
+
+                    n1.receive({});
+
+                    setTimeout(() => {
+                        expect(errorCalled).toBe(true);
+                        done();
+                    }, 100);
+                });
+            });
+
+            it('should accept bucket and filename from msg object', (done) => {
+                const { flow, credentials } = getFlow();
+
+                // Mock successful download
+                const mockStream = {
+                    async *[Symbol.asyncIterator]() {
+                        yield Buffer.from("test content");
+                    }
+                };
+                __mockSend.mockResolvedValueOnce({ Body: mockStream });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.bucket).toBe("msg-bucket");
+                            expect(msg.filename).toBe("msg-file.txt");
+                            expect(msg.payload.toString()).toBe("test content");
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({
+                        bucket: "msg-bucket",
+                        filename: "msg-file.txt"
+                    });
+                });
+            });
+
+            it('should prefer node config over msg properties', (done) => {
+                const { flow, credentials } = getFlow();
+                flow[0].bucket = "node-bucket";
+                flow[0].filename = "node-file.txt";
+
+                const mockStream = {
+                    async *[Symbol.asyncIterator]() {
+                        yield Buffer.from("content");
+                    }
+                };
+                __mockSend.mockResolvedValueOnce({ Body: mockStream });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.bucket).toBe("node-bucket");
+                            expect(msg.filename).toBe("node-file.txt");
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({
+                        bucket: "msg-bucket",
+                        filename: "msg-file.txt"
+                    });
+                });
             });
         });
 
         describe('Download Operations', () => {
-            const getFlowWithCredentials = () => ({
-                flow: [{
-                    id: "n1",
-                    type: "epi-aws-s3",
-                    name: "test",
-                    aws: "c1",
-                    bucket: "test-bucket",
-                    filename: "test.txt",
-                    wires: [["h1"]]
-                }, {
-                    id: "c1",
-                    type: "epi-aws-config"
-                }, {
-                    id: "h1",
-                    type: "helper"
-                }],
-                credentials: {
-                    c1: { accesskeyid: "test", secretaccesskey: "test" }
+            const getFlow = () => buildFlow("epi-aws-s3", { bucket: "test-bucket", filename: "test.txt" });
+
+            it('should successfully download a file', (done) => {
+                const { flow, credentials } = getFlow();
+
+                const testContent = "Hello, S3!";
+                const mockStream = {
+                    async *[Symbol.asyncIterator]() {
+                        yield Buffer.from(testContent);
+                    }
+                };
+                __mockSend.mockResolvedValueOnce({ Body: mockStream });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(Buffer.isBuffer(msg.payload)).toBe(true);
+                            expect(msg.payload.toString()).toBe(testContent);
+                            expect(msg.error).toBeUndefined();
+                            expect(GetObjectCommand).toHaveBeenCalledWith({
+                                Bucket: "test-bucket",
+                                Key: "test.txt"
+                            });
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+
+            it('should handle chunked downloads', (done) => {
+                const { flow, credentials } = getFlow();
+
+                const chunk1 = Buffer.from("chunk1");
+                const chunk2 = Buffer.from("chunk2");
+                const chunk3 = Buffer.from("chunk3");
+
+                const mockStream = {
+                    async *[Symbol.asyncIterator]() {
+                        yield chunk1;
+                        yield chunk2;
+                        yield chunk3;
+                    }
+                };
+                __mockSend.mockResolvedValueOnce({ Body: mockStream });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.payload.toString()).toBe("chunk1chunk2chunk3");
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+
+            it('should preserve original msg properties', (done) => {
+                const { flow, credentials } = getFlow();
+
+                const mockStream = {
+                    async *[Symbol.asyncIterator]() {
+                        yield Buffer.from("content");
+                    }
+                };
+                __mockSend.mockResolvedValueOnce({ Body: mockStream });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.topic).toBe("test-topic");
+                            expect(msg.customProp).toBe("preserved");
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({
+                        topic: "test-topic",
+                        customProp: "preserved"
+                    });
+                });
+            });
+        });
+
+        describe('Customer-Provided Keys', () => {
+            const getFlow = (sseCustomerKey) => buildFlow("epi-aws-s3", {
+                bucket: "test-bucket",
+                filename: "meter.csv"
+            }, {}, { n1: { sseCustomerKey: sseCustomerKey } });
+
+            it('should send the customer key with the download', (done) => {
+                const { flow, credentials } = getFlow(Buffer.alloc(32, 7).toString("base64"));
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield Buffer.from("data");
+                        }
+                    },
+                    SSECustomerAlgorithm: "AES256"
+                });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.error).toBeUndefined();
+                            expect(msg.s3.sseCustomerAlgorithm).toBe("AES256");
+                            const command = __mockSend.mock.calls[0][0];
+                            expect(command.SSECustomerAlgorithm).toBe("AES256");
+                            expect(command.SSECustomerKey).toEqual(Buffer.alloc(32, 7));
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+
+            it('should not send a customer key by default', (done) => {
+                const { flow, credentials } = getFlow(undefined);
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield Buffer.from("data");
+                        }
+                    }
+                });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.error).toBeUndefined();
+                            expect(__mockSend.mock.calls[0][0].SSECustomerKey).toBeUndefined();
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+
+            it('should error with an invalid customer key', (done) => {
+                const { flow, credentials } = getFlow("not-a-key");
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    let errorCalled = false;
+                    n1.error = () => { errorCalled = true; };
+
+                    n1.receive({});
+
+                    setTimeout(() => {
+                        try {
+                            expect(errorCalled).toBe(true);
+                            expect(__mockSend).not.toHaveBeenCalled();
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    }, 100);
+                });
+            });
+        });
+
+        describe('Object Metadata', () => {
+            const getFlow = () => buildFlow("epi-aws-s3", { bucket: "test-bucket", filename: "readings.csv" });
+
+            const mockBody = () => ({
+                async *[Symbol.asyncIterator]() {
+                    yield Buffer.from("a,b");
+                }
+            });
+
+            it('should expose the object metadata in msg.s3', (done) => {
+                const { flow, credentials } = getFlow();
+                const lastModified = new Date("2026-03-01T12:00:00Z");
+                __mockSend.mockResolvedValueOnce({
+                    Body: mockBody(),
+                    ContentType: "text/csv",
+                    ContentLength: 3,
+                    LastModified: lastModified,
+                    ETag: '"abc"',
+                    VersionId: "v2",
+                    StorageClass: "STANDARD_IA",
+                    ServerSideEncryption: "aws:kms",
+                    SSEKMSKeyId: "arn:aws:kms:eu-west-1:123456789012:key/k1",
+                    BucketKeyEnabled: true,
+                    Metadata: { "device-id": "gw-42", "site": "dublin" }
+                });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.s3).toEqual({
+                                contentType: "text/csv",
+                                contentLength: 3,
+                                lastModified: lastModified,
+                                etag: '"abc"',
+                                versionId: "v2",
+                                storageClass: "STANDARD_IA",
+                                serverSideEncryption: "aws:kms",
+                                sseKmsKeyId: "arn:aws:kms:eu-west-1:123456789012:key/k1",
+                                bucketKeyEnabled: true,
+                                metadata: { "device-id": "gw-42", "site": "dublin" }
+                            });
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+
+            it('should default the storage class and metadata', (done) => {
+                const { flow, credentials } = getFlow();
+                __mockSend.mockResolvedValueOnce({ Body: mockBody(), ETag: '"abc"' });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.s3).toEqual({ etag: '"abc"', storageClass: "STANDARD", metadata: {} });
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+        });
+
+        describe('Object Versions', () => {
+            const getFlow = (versionId) => buildFlow("epi-aws-s3", {
+                bucket: "test-bucket",
+                filename: "config.json",
+                versionId: versionId
+            });
+
+            const mockBody = () => ({
+                async *[Symbol.asyncIterator]() {
+                    yield Buffer.from("{}");
+                }
+            });
+
+            it('should download the version in msg.versionId', (done) => {
+                const { flow, credentials } = getFlow("");
+                __mockSend.mockResolvedValueOnce({ Body: mockBody(), VersionId: "v1" });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(GetObjectCommand).toHaveBeenCalledWith({
+                                Bucket: "test-bucket",
+                                Key: "config.json",
+                                VersionId: "v1"
+                            });
+                            expect(msg.s3.versionId).toBe("v1");
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({ versionId: "v1" });
+                });
+            });
+
+            it('should prefer the version configured in the node', (done) => {
+                const { flow, credentials } = getFlow("v-node");
+                __mockSend.mockResolvedValueOnce({ Body: mockBody(), VersionId: "v-node" });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", () => {
+                        try {
+                            expect(GetObjectCommand.mock.calls[0][0].VersionId).toBe("v-node");
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({ versionId: "v-msg" });
+                });
+            });
+
+            const expectNotFound = (name, message) => (done) => {
+                const error = Object.assign(new Error(name), { name: name, $metadata: { httpStatusCode: 404 } });
+                __mockSend.mockRejectedValueOnce(error);
+
+                expectOutput(Object.assign(getFlow(""), { node: localizedNode }), { versionId: "missing" }, (msg, n1) => {
+                    expect(msg.error).toBe(error);
+                    expect(msg.payload).toBeNull();
+                    expect(n1.error).toHaveBeenCalledWith("Download failed: " + message, msg);
+                })(done);
+            };
+
+            it('should report a version that does not exist', expectNotFound("NoSuchVersion",
+                "Version 'missing' of file 'config.json' not found in bucket 'test-bucket'"));
+            it('should report a missing file rather than its version', expectNotFound("NoSuchKey",
+                "File 'config.json' not found in bucket 'test-bucket'"));
+            it('should report a missing bucket rather than the version', expectNotFound("NoSuchBucket",
+                "Bucket 'test-bucket' not found"));
+        });
+
+        describe('Save to Local File', () => {
+            const fs = require("fs");
+            const os = require("os");
+            const path = require("path");
+            let tempDir;
+
+            const getFlow = (localPath) => buildFlow("epi-aws-s3", {
+                bucket: "test-bucket",
+                filename: "firmware.bin",
+                destination: "file",
+                localPath: localPath
+            });
+
+            beforeEach(() => {
+                tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "epi-aws-"));
+            });
+
+            afterEach(() => {
+                fs.rmSync(tempDir, { recursive: true, force: true });
+            });
+
+            it('should stream the object to the local file', (done) => {
+                const localPath = path.join(tempDir, "images", "firmware.bin");
+                const { flow, credentials } = getFlow(localPath);
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield Buffer.from("part1-");
+                            yield Buffer.from("part2");
+                        }
+                    }
+                });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.error).toBeUndefined();
+                            expect(msg.payload).toEqual({
+                                success: true,
+                                bucket: "test-bucket",
+                                key: "firmware.bin",
+                                localPath: localPath,
+                                bytes: 11
+                            });
+                            expect(msg.localPath).toBe(localPath);
+                            expect(fs.readFileSync(localPath, "utf8")).toBe("part1-part2");
+                            // Only the final file remains
+                            expect(fs.readdirSync(path.dirname(localPath))).toEqual(["firmware.bin"]);
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+
+            it('should take the local path from msg.localPath', (done) => {
+                const localPath = path.join(tempDir, "from-msg.bin");
+                const { flow, credentials } = getFlow("");
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield Buffer.from("data");
+                        }
+                    }
+                });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.payload.localPath).toBe(localPath);
+                            expect(fs.readFileSync(localPath, "utf8")).toBe("data");
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({ localPath: localPath });
+                });
+            });
+
+            it('should error when no local path is specified', (done) => {
+                const { flow, credentials } = getFlow("");
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+
+                    let errorCalled = false;
+                    n1.error = () => { errorCalled = true; };
+
+                    n1.receive({});
+
+                    setTimeout(() => {
+                        expect(errorCalled).toBe(true);
+                        expect(__mockSend).not.toHaveBeenCalled();
+                        done();
+                    }, 100);
+                });
+            });
+
+            it('should keep the existing file and remove the temporary file if the download fails', (done) => {
+                const localPath = path.join(tempDir, "config.json");
+                fs.writeFileSync(localPath, "previous");
+                const { flow, credentials } = getFlow(localPath);
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield Buffer.from("partial");
+                            throw new Error("socket hang up");
+                        }
+                    }
+                });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.error.message).toBe("socket hang up");
+                            expect(msg.payload).toBeNull();
+                            expect(fs.readFileSync(localPath, "utf8")).toBe("previous");
+                            expect(fs.readdirSync(tempDir)).toEqual(["config.json"]);
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+        });
+
+        describe('Size Limit', () => {
+            const getFlow = (maxSize) => buildFlow("epi-aws-s3", { bucket: "test-bucket", filename: "export.csv", maxSize: maxSize });
+
+            const mockBody = (content) => ({
+                destroy: jest.fn(),
+                async *[Symbol.asyncIterator]() {
+                    yield Buffer.from(content);
+                }
+            });
+
+            it('should fail before reading the body when ContentLength exceeds the node limit', (done) => {
+                const { flow, credentials } = getFlow("1");
+                const body = mockBody("never read");
+                __mockSend.mockResolvedValueOnce({ Body: body, ContentLength: 2 * 1024 * 1024 });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.payload).toBeNull();
+                            expect(msg.error.code).toBe("SizeLimitExceeded");
+                            expect(msg.error.name).toBe("SizeLimitExceeded");
+                            expect(msg.error.limit).toBe(1024 * 1024);
+                            expect(msg.error.size).toBe(2 * 1024 * 1024);
+                            expect(body.destroy).toHaveBeenCalled();
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+
+            it('should let msg.maxSize override the node limit', (done) => {
+                const { flow, credentials } = getFlow("1");
+                __mockSend.mockResolvedValueOnce({ Body: mockBody("data"), ContentLength: 2 * 1024 * 1024 });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.error).toBeUndefined();
+                            expect(msg.payload.toString()).toBe("data");
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({ maxSize: 5 });
+                });
+            });
+
+            it('should enforce the limit while reading when ContentLength is unknown', (done) => {
+                // 0.00001MB is 10 bytes
+                const { flow, credentials } = getFlow("0.00001");
+                __mockSend.mockResolvedValueOnce({ Body: mockBody("twenty bytes of data") });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.payload).toBeNull();
+                            expect(msg.error.code).toBe("SizeLimitExceeded");
+                            expect(msg.error.limit).toBe(10);
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+
+            it('should limit downloads into memory to 100MB by default', (done) => {
+                const { flow, credentials } = getFlow("");
+                __mockSend.mockResolvedValueOnce({ Body: mockBody("data"), ContentLength: 101 * 1024 * 1024 });
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.error.code).toBe("SizeLimitExceeded");
+                            expect(msg.error.limit).toBe(100 * 1024 * 1024);
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+        });
+
+        describe('Range Downloads', () => {
+            const getFlow = () => buildFlow("epi-aws-s3", { bucket: "test-bucket", filename: "gateway.log" });
+
+            const mockBody = (content) => ({
+                async *[Symbol.asyncIterator]() {
+                    yield Buffer.from(content);
+                }
+            });
+
+            const expectRange = (range, header) => (done) => {
+                __mockSend.mockResolvedValueOnce({ Body: mockBody("part"), ContentRange: "bytes 100-103/5000" });
+
+                expectOutput(getFlow(), { range: range }, (msg) => {
+                    expect(GetObjectCommand).toHaveBeenCalledWith({
+                        Bucket: "test-bucket",
+                        Key: "gateway.log",
+                        Range: header
+                    });
+                    expect(msg.payload.toString()).toBe("part");
+                    expect(msg.contentRange).toBe("bytes 100-103/5000");
+                    expect(msg.totalSize).toBe(5000);
+                })(done);
+            };
+
+            it('should pass an HTTP range string through', expectRange("bytes=100-103", "bytes=100-103"));
+            it('should add the bytes= prefix to a range string', expectRange("100-103", "bytes=100-103"));
+            it('should convert start and end offsets', expectRange({ start: 100, end: 103 }, "bytes=100-103"));
+            it('should convert an open-ended start offset', expectRange({ start: 100 }, "bytes=100-"));
+            it('should convert a last-N-bytes range', expectRange({ last: 4 }, "bytes=-4"));
+
+            it('should reject an invalid range without sending a request', (done) => {
+                const { flow, credentials } = getFlow();
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+
+                    let errors = 0;
+                    n1.error = () => { errors++; };
+
+                    n1.receive({ range: { start: 10, end: 5 } });
+                    n1.receive({ range: "bytes=0-1,5-9" });
+                    n1.receive({ range: { last: 0 } });
+
+                    setTimeout(() => {
+                        expect(errors).toBe(3);
+                        expect(__mockSend).not.toHaveBeenCalled();
+                        done();
+                    }, 100);
+                });
+            });
+
+            it('should send an error message when the range is not satisfiable', (done) => {
+                const { flow, credentials } = getFlow();
+                const error = new Error("InvalidRange");
+                error.name = "InvalidRange";
+                error.$metadata = { httpStatusCode: 416 };
+                __mockSend.mockRejectedValueOnce(error);
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.error).toBe(error);
+                            expect(msg.payload).toBeNull();
+                            expect(msg.contentRange).toBeUndefined();
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({ range: { start: 999999 } });
+                });
+            });
+        });
+
+        describe('Conditional Downloads', () => {
+            const getFlow = (trackEtag) => buildFlow("epi-aws-s3", {
+                bucket: "test-bucket",
+                filename: "config.json",
+                trackEtag: trackEtag
+            });
+
+            const mockBody = (content) => ({
+                async *[Symbol.asyncIterator]() {
+                    yield Buffer.from(content);
                 }
             });
 
-            it('should successfully download a file', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+            const notModifiedError = (headers) => Object.assign(new Error("304"), {
+                name: "304",
+                $metadata: { httpStatusCode: 304 },
+                $response: { statusCode: 304, headers: headers || {} }
+            });
 
-                const testContent = "Hello, S3!";
-                const mockStream = {
-                    async *[Symbol.asyncIterator]() {
-                        yield Buffer.from(testContent);
-                    }
-                };
-                __mockSend.mockResolvedValueOnce({ Body: mockStream });
+            it('should send msg.ifNoneMatch and msg.ifModifiedSince with the request', (done) => {
+                const { flow, credentials } = getFlow(false);
+                __mockSend.mockResolvedValueOnce({ Body: mockBody("{}"), ETag: '"e2"' });
 
                 helper.load(awsNode, flow, credentials, () => {
                     const n1 = helper.getNode("n1");
@@ -377,46 +2452,134 @@ describe('epi-aws-s3 Nodes', () => {
 
                     h1.on("input", (msg) => {
                         try {
-                            expect(Buffer.isBuffer(msg.payload)).toBe(true);
-                            expect(msg.payload.toString()).toBe(testContent);
-                            expect(msg.error).toBeUndefined();
                             expect(GetObjectCommand).toHaveBeenCalledWith({
                                 Bucket: "test-bucket",
-                                Key: "test.txt"
+                                Key: "config.json",
+                                IfNoneMatch: '"e1"',
+                                IfModifiedSince: new Date("2026-01-01T00:00:00Z")
                             });
+                            expect(msg.etag).toBe('"e2"');
+                            expect(msg.notModified).toBe(false);
                             done();
                         } catch(err) {
                             done(err);
                         }
                     });
 
-                    n1.receive({});
+                    n1.receive({ ifNoneMatch: '"e1"', ifModifiedSince: "2026-01-01T00:00:00Z" });
                 });
             });
 
-            it('should handle chunked downloads', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+            it('should report a 304 as not modified instead of an error', (done) => {
+                const { flow, credentials } = getFlow(false);
+                __mockSend.mockRejectedValueOnce(notModifiedError());
 
-                const chunk1 = Buffer.from("chunk1");
-                const chunk2 = Buffer.from("chunk2");
-                const chunk3 = Buffer.from("chunk3");
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+                    const errorSpy = jest.spyOn(n1, "error");
+                    const statusSpy = jest.spyOn(n1, "status");
 
-                const mockStream = {
-                    async *[Symbol.asyncIterator]() {
-                        yield chunk1;
-                        yield chunk2;
-                        yield chunk3;
-                    }
-                };
-                __mockSend.mockResolvedValueOnce({ Body: mockStream });
+                    h1.on("input", (msg) => {
+                        try {
+                            expect(msg.notModified).toBe(true);
+                            expect(msg.payload).toBeNull();
+                            expect(msg.error).toBeUndefined();
+                            expect(msg.etag).toBe('"e1"');
+                            expect(msg.s3).toEqual({ etag: '"e1"' });
+                            expect(errorSpy).not.toHaveBeenCalled();
+                            expect(statusSpy).toHaveBeenLastCalledWith(expect.objectContaining({ fill: "green", shape: "ring" }));
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({ ifNoneMatch: '"e1"' });
+                });
+            });
+
+            it('should echo the ETag and date S3 sends with a 304', (done) => {
+                __mockSend.mockRejectedValueOnce(notModifiedError({
+                    "etag": '"e3"',
+                    "last-modified": "Wed, 07 Jan 2026 10:00:00 GMT"
+                }));
+
+                expectOutput(getFlow(false), { ifModifiedSince: "2026-02-01T00:00:00Z" }, (msg) => {
+                    expect(msg.notModified).toBe(true);
+                    expect(msg.etag).toBe('"e3"');
+                    expect(msg.s3).toEqual({ etag: '"e3"', lastModified: new Date("2026-01-07T10:00:00Z") });
+                })(done);
+            });
+
+            it('should echo the date it sent if S3 does not send one with a 304', (done) => {
+                __mockSend.mockRejectedValueOnce(notModifiedError());
+
+                expectOutput(getFlow(false), { ifModifiedSince: "2026-02-01T00:00:00Z", etag: '"e0"' }, (msg) => {
+                    expect(msg.notModified).toBe(true);
+                    expect(msg.etag).toBe('"e0"');
+                    expect(msg.s3).toEqual({ etag: '"e0"', lastModified: new Date("2026-02-01T00:00:00Z") });
+                })(done);
+            });
+
+            it('should forget the least recently used ETags beyond 1000 files', (done) => {
+                const { flow, credentials } = buildFlow("epi-aws-s3", { bucket: "test-bucket", trackEtag: true });
+                __mockSend.mockImplementation(async (command) => ({ Body: mockBody("{}"), ETag: `"${command.Key}"` }));
+                // file-0 is used again before 999 more files are added, so file-1 is the one dropped
+                const filenames = ["file-0", "file-1", "file-0"];
+                for (let i = 2; i <= 1000; i++) {
+                    filenames.push("file-" + i);
+                }
+                filenames.push("file-0", "file-1");
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+                    let received = 0;
+
+                    h1.on("input", () => {
+                        received++;
+                        if (received < filenames.length) {
+                            n1.receive({ filename: filenames[received] });
+                            return;
+                        }
+                        try {
+                            const calls = GetObjectCommand.mock.calls.map(call => call[0]);
+                            expect(calls[2].IfNoneMatch).toBe('"file-0"');
+                            expect(calls[calls.length - 2].IfNoneMatch).toBe('"file-0"');
+                            expect(calls[calls.length - 1].Key).toBe("file-1");
+                            expect(calls[calls.length - 1].IfNoneMatch).toBeUndefined();
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({ filename: filenames[0] });
+                });
+            });
+
+            it('should remember the ETag of each file when tracking is enabled', (done) => {
+                const { flow, credentials } = getFlow(true);
+                __mockSend
+                    .mockResolvedValueOnce({ Body: mockBody("{}"), ETag: '"e1"' })
+                    .mockRejectedValueOnce(notModifiedError());
 
                 helper.load(awsNode, flow, credentials, () => {
                     const n1 = helper.getNode("n1");
                     const h1 = helper.getNode("h1");
+                    let received = 0;
 
                     h1.on("input", (msg) => {
+                        received++;
+                        if (received === 1) {
+                            expect(GetObjectCommand.mock.calls[0][0].IfNoneMatch).toBeUndefined();
+                            n1.receive({});
+                            return;
+                        }
                         try {
-                            expect(msg.payload.toString()).toBe("chunk1chunk2chunk3");
+                            expect(GetObjectCommand.mock.calls[1][0].IfNoneMatch).toBe('"e1"');
+                            expect(msg.notModified).toBe(true);
                             done();
                         } catch(err) {
                             done(err);
@@ -427,62 +2590,597 @@ describe('epi-aws-s3 Nodes', () => {
                 });
             });
 
-            it('should preserve original msg properties', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+            it('should not use remembered ETags for range downloads', (done) => {
+                const { flow, credentials } = getFlow(true);
+                __mockSend
+                    .mockResolvedValueOnce({ Body: mockBody("{}"), ETag: '"e1"' })
+                    .mockResolvedValueOnce({ Body: mockBody("{"), ETag: '"e1"', ContentRange: "bytes 0-0/2" });
 
-                const mockStream = {
-                    async *[Symbol.asyncIterator]() {
-                        yield Buffer.from("content");
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+                    let received = 0;
+
+                    h1.on("input", (msg) => {
+                        received++;
+                        if (received === 1) {
+                            n1.receive({ range: { start: 0, end: 0 } });
+                            return;
+                        }
+                        try {
+                            expect(GetObjectCommand.mock.calls[1][0].IfNoneMatch).toBeUndefined();
+                            expect(msg.payload.toString()).toBe("{");
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    });
+
+                    n1.receive({});
+                });
+            });
+
+            it('should reject an invalid msg.ifModifiedSince', (done) => {
+                const { flow, credentials } = getFlow(false);
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+
+                    let errorCalled = false;
+                    n1.error = () => { errorCalled = true; };
+
+                    n1.receive({ ifModifiedSince: "yesterday-ish" });
+
+                    setTimeout(() => {
+                        expect(errorCalled).toBe(true);
+                        expect(__mockSend).not.toHaveBeenCalled();
+                        done();
+                    }, 100);
+                });
+            });
+        });
+
+        describe('Output Format', () => {
+            const getFlow = (format, encoding) => buildFlow("epi-aws-s3", {
+                bucket: "test-bucket",
+                filename: "data",
+                format: format,
+                encoding: encoding
+            });
+
+            const expectPayload = (format, encoding, content, contentType, expected) => (done) => {
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield Buffer.isBuffer(content) ? content : Buffer.from(content);
+                        }
+                    },
+                    ContentType: contentType
+                });
+
+                expectOutput(getFlow(format, encoding), {}, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload).toEqual(expected);
+                })(done);
+            };
+
+            it('should return a UTF-8 string', expectPayload("string", "utf8", "h\u00e9llo", undefined, "h\u00e9llo"));
+            it('should decode a string in the selected encoding',
+                expectPayload("string", "latin1", Buffer.from([0x68, 0xe9]), undefined, "h\u00e9"));
+            it('should parse JSON', expectPayload("json", "utf8", '{"interval":60}', undefined, { interval: 60 }));
+            it('should parse JSON with a byte order mark',
+                expectPayload("json", "utf8", '\uFEFF{"interval":60}', undefined, { interval: 60 }));
+            it('should return base64', expectPayload("base64", "utf8", "hello", undefined, "aGVsbG8="));
+            it('should auto-detect JSON content types',
+                expectPayload("auto", "utf8", '[1,2]', "application/vnd.api+json", [1, 2]));
+            it('should auto-detect text content types and their charset',
+                expectPayload("auto", "utf8", Buffer.from([0x61, 0xe9]), "text/csv; charset=latin1", "a\u00e9"));
+            it('should return other content types as a Buffer',
+                expectPayload("auto", "utf8", "PNG", "image/png", Buffer.from("PNG")));
+
+            it('should send a parse failure through the error path', (done) => {
+                const { flow, credentials } = getFlow("json", "utf8");
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield Buffer.from("not json");
+                        }
                     }
-                };
-                __mockSend.mockResolvedValueOnce({ Body: mockStream });
+                });
 
                 helper.load(awsNode, flow, credentials, () => {
                     const n1 = helper.getNode("n1");
                     const h1 = helper.getNode("h1");
+                    const errorSpy = jest.spyOn(n1, "error");
 
                     h1.on("input", (msg) => {
                         try {
-                            expect(msg.topic).toBe("test-topic");
-                            expect(msg.customProp).toBe("preserved");
+                            expect(msg.payload).toBeNull();
+                            expect(msg.error).toBeDefined();
+                            expect(msg.bucket).toBe("test-bucket");
+                            expect(msg.filename).toBe("data");
+                            expect(errorSpy).toHaveBeenCalled();
                             done();
                         } catch(err) {
                             done(err);
                         }
                     });
 
-                    n1.receive({
-                        topic: "test-topic",
-                        customProp: "preserved"
-                    });
+                    n1.receive({});
                 });
             });
         });
 
-        describe('Error Handling', () => {
-            const getFlowWithCredentials = () => ({
-                flow: [{
-                    id: "n1",
-                    type: "epi-aws-s3",
-                    name: "test",
-                    aws: "c1",
-                    bucket: "test-bucket",
-                    filename: "test.txt",
-                    wires: [["h1"]]
-                }, {
-                    id: "c1",
-                    type: "epi-aws-config"
-                }, {
-                    id: "h1",
-                    type: "helper"
-                }],
-                credentials: {
-                    c1: { accesskeyid: "test", secretaccesskey: "test" }
+        describe('Checksum Verification', () => {
+            const getFlow = (checksum) => buildFlow("epi-aws-s3", {
+                bucket: "test-bucket",
+                filename: "firmware.bin",
+                checksum: checksum,
+                format: "string"
+            });
+
+            // The SDK also verifies S3's checksums, and throws once the whole body has been read
+            const mismatchBody = () => ({
+                async *[Symbol.asyncIterator]() {
+                    yield Buffer.from("hel");
+                    yield Buffer.from("lo");
+                    throw new Error("The wording of the SDK's error does not matter");
+                }
+            });
+
+            const expectChecksum = (checksum, response, check) => (done) => {
+                __mockSend.mockResolvedValueOnce(Object.assign({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield Buffer.from("hel");
+                            yield Buffer.from("lo");
+                        }
+                    }
+                }, response));
+
+                expectOutput(getFlow(checksum), {}, check)(done);
+            };
+
+            it('should verify a SHA-256 checksum', expectChecksum("fail", {
+                ChecksumSHA256: "LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=",
+                ChecksumCRC32: "NhCmhg==",
+                ETag: '"5d41402abc4b2a76b9719d911017c592"'
+            }, (msg) => {
+                expect(msg.error).toBeUndefined();
+                expect(msg.payload).toBe("hello");
+                expect(msg.checksum).toEqual({ algorithm: "SHA256", value: "LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=", verified: true });
+                expect(__mockSend.mock.calls[0][0].ChecksumMode).toBe("ENABLED");
+            }));
+
+            it('should verify a CRC32C checksum', expectChecksum("fail", {
+                ChecksumCRC32C: "mnG7TA=="
+            }, (msg) => {
+                expect(msg.error).toBeUndefined();
+                expect(msg.checksum).toEqual({ algorithm: "CRC32C", value: "mnG7TA==", verified: true });
+            }));
+
+            it('should verify the MD5 ETag of single-part objects', expectChecksum("fail", {
+                ETag: '"5d41402abc4b2a76b9719d911017c592"'
+            }, (msg) => {
+                expect(msg.error).toBeUndefined();
+                expect(msg.checksum).toEqual({ algorithm: "MD5", value: "5d41402abc4b2a76b9719d911017c592", verified: true });
+            }));
+
+            it('should set msg.checksum to null without a whole-object checksum', expectChecksum("fail", {
+                ChecksumCRC32: "AAAAAA==-3",
+                ETag: '"5d41402abc4b2a76b9719d911017c592-3"'
+            }, (msg) => {
+                expect(msg.error).toBeUndefined();
+                expect(msg.payload).toBe("hello");
+                expect(msg.checksum).toBeNull();
+            }));
+
+            it('should only let the SDK verify checksums the node asks for', expectChecksum("fail", {
+                ChecksumCRC32: "NhCmhg=="
+            }, () => {
+                expect(S3Client.mock.calls[0][0].responseChecksumValidation).toBe("WHEN_REQUIRED");
+            }));
+
+            it('should fall back to the MD5 ETag for CRC64NVME checksums', expectChecksum("fail", {
+                ChecksumCRC64NVME: "M3eFcAZSQlc=",
+                ETag: '"5d41402abc4b2a76b9719d911017c592"'
+            }, (msg) => {
+                expect(msg.error).toBeUndefined();
+                expect(msg.checksum).toEqual({ algorithm: "MD5", value: "5d41402abc4b2a76b9719d911017c592", verified: true });
+            }));
+
+            it('should fail on an MD5 ETag mismatch', expectChecksum("fail", {
+                ETag: '"00000000000000000000000000000000"'
+            }, (msg) => {
+                expect(msg.payload).toBeNull();
+                expect(msg.error.code).toBe("ChecksumMismatch");
+                expect(msg.error.actual).toBe("5d41402abc4b2a76b9719d911017c592");
+            }));
+
+            it('should warn and output the file on a mismatch', expectChecksum("warn", {
+                ChecksumCRC32: "AAAAAA==",
+                ContentLength: 5,
+                Body: mismatchBody()
+            }, (msg, n1) => {
+                expect(msg.error).toBeUndefined();
+                expect(msg.payload).toBe("hello");
+                expect(msg.checksum).toEqual({ algorithm: "CRC32", value: "NhCmhg==", verified: false });
+                expect(n1.warn).toHaveBeenCalled();
+            }));
+
+            it('should fail with a typed error on a mismatch', expectChecksum("fail", {
+                ChecksumCRC32: "AAAAAA==",
+                ContentLength: 5,
+                Body: mismatchBody()
+            }, (msg) => {
+                expect(msg.payload).toBeNull();
+                expect(msg.error.code).toBe("ChecksumMismatch");
+                expect(msg.error.algorithm).toBe("CRC32");
+                expect(msg.error.expected).toBe("AAAAAA==");
+                expect(msg.error.actual).toBe("NhCmhg==");
+            }));
+
+            it('should detect a mismatch the SDK does not report', expectChecksum("fail", {
+                ChecksumSHA1: "AAAAAAAAAAAAAAAAAAAAAAAAAAA="
+            }, (msg) => {
+                expect(msg.payload).toBeNull();
+                expect(msg.error.code).toBe("ChecksumMismatch");
+                expect(msg.error.actual).toBe("qvTGHdzF6KLavt4PO0gs2a6pQ00=");
+            }));
+
+            it('should pass on errors after a body that matches its checksum', expectChecksum("fail", {
+                ChecksumCRC32: "NhCmhg==",
+                ContentLength: 5,
+                Body: mismatchBody()
+            }, (msg) => {
+                expect(msg.payload).toBeNull();
+                expect(msg.error.message).toBe("The wording of the SDK's error does not matter");
+            }));
+
+            it('should pass on errors that cut the body short', expectChecksum("warn", {
+                ChecksumCRC32: "AAAAAA==",
+                ContentLength: 5,
+                Body: {
+                    async *[Symbol.asyncIterator]() {
+                        yield Buffer.from("hel");
+                        throw new Error("socket hang up");
+                    }
                 }
+            }, (msg) => {
+                expect(msg.payload).toBeNull();
+                expect(msg.error.message).toBe("socket hang up");
+                expect(msg.checksum).toBeNull();
+            }));
+
+            it('should not verify checksums by default', expectChecksum(undefined, {
+                ChecksumCRC32: "AAAAAA=="
+            }, (msg) => {
+                expect(msg.error).toBeUndefined();
+                expect(msg.checksum).toBeUndefined();
+                expect(__mockSend.mock.calls[0][0].ChecksumMode).toBeUndefined();
+            }));
+        });
+
+        describe('Parallel Download', () => {
+            const object = Buffer.from("abcdefghijklmnopqrstuvwxy");
+
+            const getFlow = () => buildFlow("epi-aws-s3", {
+                bucket: "test-bucket",
+                filename: "export.csv",
+                parallel: true,
+                partSize: "0.00001", // 10 bytes
+                concurrency: "2",
+                format: "string"
+            });
+
+            const rangeResponse = (command, data = object) => {
+                const match = /^bytes=(\d+)-(\d+)$/.exec(command.Range);
+                const start = Number(match[1]);
+                const end = Math.min(Number(match[2]), data.length - 1);
+                return {
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield data.subarray(start, end + 1);
+                        }
+                    },
+                    ContentLength: end - start + 1,
+                    ContentRange: `bytes ${start}-${end}/${data.length}`,
+                    ETag: '"v1"'
+                };
+            };
+
+            afterEach(() => {
+                __mockSend.mockReset();
+            });
+
+            const expectDownload = (check) => expectOutput(getFlow(), {}, check);
+
+            it('should download the ranges and assemble them in order', (done) => {
+                __mockSend.mockImplementation(async (command) => rangeResponse(command));
+
+                expectDownload((msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload).toBe(object.toString());
+                    expect(msg.s3.contentLength).toBe(25);
+                    expect(msg.contentRange).toBeUndefined();
+                    const commands = __mockSend.mock.calls.map(call => call[0]);
+                    expect(commands.map(command => command.Range)).toEqual(["bytes=0-9", "bytes=10-19", "bytes=20-24"]);
+                    expect(commands[0].IfMatch).toBeUndefined();
+                    expect(commands[1].IfMatch).toBe('"v1"');
+                    expect(commands[2].IfMatch).toBe('"v1"');
+                })(done);
+            });
+
+            it('should download small objects in one request', (done) => {
+                const small = Buffer.from("tiny");
+                __mockSend.mockImplementation(async (command) => rangeResponse(command, small));
+
+                expectDownload((msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload).toBe("tiny");
+                    expect(__mockSend).toHaveBeenCalledTimes(1);
+                })(done);
+            });
+
+            it('should verify the MD5 ETag against the ranges put back together', (done) => {
+                const { flow, credentials } = getFlow();
+                flow[0].checksum = "fail";
+                __mockSend.mockImplementation(async (command) =>
+                    Object.assign(rangeResponse(command), { ETag: '"f1784031a03a8f5b11ead16ab90cc18e"' }));
+
+                expectOutput({ flow, credentials }, {}, (msg, n1) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload).toBe(object.toString());
+                    expect(msg.checksum).toEqual({ algorithm: "MD5", value: "f1784031a03a8f5b11ead16ab90cc18e", verified: true });
+                    expect(n1.warn).not.toHaveBeenCalled();
+                })(done);
+            });
+
+            it('should warn that it cannot verify objects without an MD5 ETag', (done) => {
+                const { flow, credentials } = getFlow();
+                flow[0].checksum = "fail";
+                __mockSend.mockImplementation(async (command) => rangeResponse(command));
+
+                expectOutput({ flow, credentials }, {}, (msg, n1) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.checksum).toBeNull();
+                    expect(n1.warn).toHaveBeenCalledWith("aws.warn.checksum-unavailable");
+                    // Checksums cover the whole object, so the ranges do not ask for them
+                    expect(__mockSend.mock.calls.every(call => call[0].ChecksumMode === undefined)).toBe(true);
+                })(done);
+            });
+
+            it('should cancel the ranges in flight when a range fails', (done) => {
+                let lastRange = null;
+                __mockSend.mockImplementation((command, options) => {
+                    if (command.Range === "bytes=10-19") {
+                        return new Promise((resolve, reject) => setTimeout(() => {
+                            reject(Object.assign(new Error("Access Denied"), { name: "AccessDenied", $metadata: { httpStatusCode: 403 } }));
+                        }, 20));
+                    }
+                    if (command.Range === "bytes=20-24") {
+                        lastRange = options.abortSignal;
+                        return new Promise((resolve, reject) => {
+                            options.abortSignal.addEventListener("abort", () => reject(Object.assign(new Error("Request aborted"), { name: "AbortError" })));
+                        });
+                    }
+                    return Promise.resolve(rangeResponse(command));
+                });
+
+                expectDownload((msg) => {
+                    expect(msg.error.name).toBe("AccessDenied");
+                    expect(lastRange.aborted).toBe(true);
+                    // The cancelled range is not retried
+                    expect(__mockSend.mock.calls.filter(call => call[0].Range === "bytes=20-24")).toHaveLength(1);
+                })(done);
+            });
+
+            it('should retry a failed range on its own', (done) => {
+                let failed = false;
+                __mockSend.mockImplementation(async (command) => {
+                    if (command.Range === "bytes=10-19" && !failed) {
+                        failed = true;
+                        return {
+                            Body: {
+                                async *[Symbol.asyncIterator]() {
+                                    yield object.subarray(10, 12);
+                                    throw new Error("socket hang up");
+                                }
+                            },
+                            ETag: '"v1"'
+                        };
+                    }
+                    return rangeResponse(command);
+                });
+
+                expectDownload((msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload).toBe(object.toString());
+                    expect(msg.attempts).toBe(2);
+                    const ranges = __mockSend.mock.calls.map(call => call[0].Range);
+                    expect(ranges.filter(range => range === "bytes=10-19")).toHaveLength(2);
+                    expect(ranges.filter(range => range === "bytes=0-9")).toHaveLength(1);
+                })(done);
+            });
+
+            it('should fail without retrying if the object changed', (done) => {
+                __mockSend.mockImplementation(async (command) => {
+                    if (command.IfMatch) {
+                        const error = new Error("At least one of the pre-conditions you specified did not hold");
+                        error.name = "PreconditionFailed";
+                        error.$metadata = { httpStatusCode: 412 };
+                        throw error;
+                    }
+                    return rangeResponse(command);
+                });
+
+                expectDownload((msg) => {
+                    expect(msg.payload).toBeNull();
+                    expect(msg.error.name).toBe("PreconditionFailed");
+                    expect(__mockSend.mock.calls.filter(call => call[0].Range === "bytes=10-19")).toHaveLength(1);
+                })(done);
+            });
+        });
+
+        describe('Split Streaming', () => {
+            const getFlow = (splitBy, splitSize) => buildFlow("epi-aws-s3", {
+                bucket: "test-bucket",
+                filename: "export.ndjson",
+                destination: "split",
+                splitBy: splitBy,
+                splitSize: splitSize
+            });
+
+            const mockBody = (...chunks) => {
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            for (const chunk of chunks) {
+                                if (chunk instanceof Error) {
+                                    throw chunk;
+                                }
+                                yield Buffer.from(chunk);
+                            }
+                        }
+                    },
+                    ETag: '"abc"'
+                });
+            };
+
+            const collectParts = (flow, credentials, count, check) => (done) => {
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+                    const received = [];
+
+                    h1.on("input", (msg) => {
+                        received.push(msg);
+                        if (received.length === count) {
+                            // Wait for any unexpected extra messages
+                            setTimeout(() => {
+                                try {
+                                    expect(received).toHaveLength(count);
+                                    check(received);
+                                    done();
+                                } catch(err) {
+                                    done(err);
+                                }
+                            }, 50);
+                        }
+                    });
+
+                    n1.receive({ topic: "meters" });
+                });
+            };
+
+            it('should send one message per line with msg.parts', (done) => {
+                const { flow, credentials } = getFlow("lines");
+                // Split a line and a multi-byte character across chunks
+                const text = Buffer.from('{"a":1}\r\n{"b":"\u00e9"}\n{"c":3}');
+                mockBody(text.subarray(0, 5), text.subarray(5, 19), text.subarray(19));
+
+                collectParts(flow, credentials, 3, (received) => {
+                    expect(received.map(msg => msg.payload)).toEqual(['{"a":1}', '{"b":"\u00e9"}', '{"c":3}']);
+                    expect(received.map(msg => msg.parts.index)).toEqual([0, 1, 2]);
+                    expect(new Set(received.map(msg => msg.parts.id)).size).toBe(1);
+                    expect(received[0].parts).toMatchObject({ type: "string", ch: "\n" });
+                    expect(received[0].parts.count).toBeUndefined();
+                    expect(received[2].parts.count).toBe(3);
+                    expect(received[2].topic).toBe("meters");
+                    expect(received[2].etag).toBe('"abc"');
+                    expect(received[2].s3.etag).toBe('"abc"');
+                })(done);
+            });
+
+            it('should set the checksum on the last part only', (done) => {
+                const { flow, credentials } = getFlow("lines");
+                flow[0].checksum = "fail";
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {
+                            yield Buffer.from("a\nb\nc");
+                        }
+                    },
+                    ChecksumCRC32: "aMqOog=="
+                });
+
+                collectParts(flow, credentials, 3, (received) => {
+                    expect(received[0].checksum).toBeUndefined();
+                    expect(received[1].checksum).toBeUndefined();
+                    expect(received[2].checksum).toEqual({ algorithm: "CRC32", value: "aMqOog==", verified: true });
+                })(done);
+            });
+
+            it('should send one message per N lines', (done) => {
+                const { flow, credentials } = getFlow("records", "2");
+                mockBody("r1\nr2\nr3\n", "r4\nr5\n");
+
+                collectParts(flow, credentials, 3, (received) => {
+                    expect(received.map(msg => msg.payload)).toEqual(["r1\nr2", "r3\nr4", "r5"]);
+                    expect(received[2].parts.count).toBe(3);
+                })(done);
+            });
+
+            it('should send fixed-size chunks as Buffers', (done) => {
+                const { flow, credentials } = getFlow("bytes", "4");
+                mockBody("abcdef", "ghij");
+
+                collectParts(flow, credentials, 3, (received) => {
+                    expect(received.map(msg => msg.payload.toString())).toEqual(["abcd", "efgh", "ij"]);
+                    expect(Buffer.isBuffer(received[0].payload)).toBe(true);
+                    expect(received[0].parts).toMatchObject({ type: "buffer", ch: "" });
+                    expect(received[2].parts.count).toBe(3);
+                })(done);
+            });
+
+            it('should send one empty part for an empty object', (done) => {
+                const { flow, credentials } = getFlow("lines");
+                flow[0].checksum = "fail";
+                __mockSend.mockResolvedValueOnce({
+                    Body: {
+                        async *[Symbol.asyncIterator]() {}
+                    },
+                    ETag: '"d41d8cd98f00b204e9800998ecf8427e"'
+                });
+
+                collectParts(flow, credentials, 1, (received) => {
+                    expect(received[0].payload).toBe("");
+                    expect(received[0].parts).toMatchObject({ index: 0, count: 1, type: "string" });
+                    expect(received[0].checksum).toEqual({ algorithm: "MD5", value: "d41d8cd98f00b204e9800998ecf8427e", verified: true });
+                    expect(received[0].error).toBeUndefined();
+                })(done);
+            });
+
+            it('should send one empty Buffer for an empty object split by size', (done) => {
+                const { flow, credentials } = getFlow("bytes", "4");
+                mockBody();
+
+                collectParts(flow, credentials, 1, (received) => {
+                    expect(received[0].payload).toEqual(Buffer.alloc(0));
+                    expect(received[0].parts).toMatchObject({ index: 0, count: 1, type: "buffer" });
+                })(done);
             });
 
+            it('should send an error message if the download fails part way', (done) => {
+                const { flow, credentials } = getFlow("lines");
+                mockBody("line1\nline2\n", new Error("Connection reset"));
+
+                // line2 is held back for parts.count when the error occurs
+                collectParts(flow, credentials, 2, (received) => {
+                    expect(received[0].payload).toBe("line1");
+                    expect(received[0].parts.count).toBeUndefined();
+                    expect(received[1].error).toBeDefined();
+                    expect(received[1].payload).toBeNull();
+                    expect(received[1].parts).toBeUndefined();
+                })(done);
+            });
+        });
+
+        describe('Error Handling', () => {
+            const getFlow = () => buildFlow("epi-aws-s3", { bucket: "test-bucket", filename: "test.txt" });
+
             it('should send error message on 404 (file not found)', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 const error = new Error("NoSuchKey");
                 error.$metadata = { httpStatusCode: 404 };
@@ -507,7 +3205,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should send error message on 403 (access denied)', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 const error = new Error("AccessDenied");
                 error.$metadata = { httpStatusCode: 403 };
@@ -532,7 +3230,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should handle generic errors', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 __mockSend.mockRejectedValueOnce(new Error("Network timeout"));
 
@@ -557,7 +3255,7 @@ describe('epi-aws-s3 Nodes', () => {
         });
 
         describe('Cleanup', () => {
-            it('should destroy S3Client on node close', (done) => {
+            it('should not destroy the shared S3Client on node close', (done) => {
                 const flow = [{
                     id: "n1",
                     type: "epi-aws-s3",
@@ -576,7 +3274,7 @@ describe('epi-aws-s3 Nodes', () => {
                     const n1 = helper.getNode("n1");
 
                     n1.close().then(() => {
-                        expect(__mockDestroy).toHaveBeenCalled();
+                        expect(__mockDestroy).not.toHaveBeenCalled();
                         done();
                     }).catch(done);
                 });
@@ -618,27 +3316,10 @@ describe('epi-aws-s3 Nodes', () => {
         });
 
         describe('Input Validation', () => {
-            const getFlowWithCredentials = () => ({
-                flow: [{
-                    id: "n1",
-                    type: "epi-aws-s3-upload",
-                    name: "test",
-                    aws: "c1",
-                    wires: [["h1"]]
-                }, {
-                    id: "c1",
-                    type: "epi-aws-config"
-                }, {
-                    id: "h1",
-                    type: "helper"
-                }],
-                credentials: {
-                    c1: { accesskeyid: "test", secretaccesskey: "test" }
-                }
-            });
+            const getFlow = () => buildFlow("epi-aws-s3-upload");
 
             it('should error when bucket is not specified', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 helper.load(awsNode, flow, credentials, () => {
                     const n1 = helper.getNode("n1");
@@ -656,7 +3337,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should error when filename is not specified', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 helper.load(awsNode, flow, credentials, () => {
                     const n1 = helper.getNode("n1");
@@ -674,7 +3355,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should error when payload is not specified', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 helper.load(awsNode, flow, credentials, () => {
                     const n1 = helper.getNode("n1");
@@ -693,29 +3374,10 @@ describe('epi-aws-s3 Nodes', () => {
         });
 
         describe('Upload Operations', () => {
-            const getFlowWithCredentials = () => ({
-                flow: [{
-                    id: "n1",
-                    type: "epi-aws-s3-upload",
-                    name: "test",
-                    aws: "c1",
-                    bucket: "test-bucket",
-                    filename: "uploaded.txt",
-                    wires: [["h1"]]
-                }, {
-                    id: "c1",
-                    type: "epi-aws-config"
-                }, {
-                    id: "h1",
-                    type: "helper"
-                }],
-                credentials: {
-                    c1: { accesskeyid: "test", secretaccesskey: "test" }
-                }
-            });
+            const getFlow = () => buildFlow("epi-aws-s3-upload", { bucket: "test-bucket", filename: "uploaded.txt" });
 
             it('should successfully upload a Buffer', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 __mockSend.mockResolvedValueOnce({
                     ETag: '"abc123"',
@@ -744,7 +3406,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should convert string payload to Buffer', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 __mockSend.mockResolvedValueOnce({ ETag: '"xyz"' });
 
@@ -770,7 +3432,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should convert object payload to JSON Buffer', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 __mockSend.mockResolvedValueOnce({ ETag: '"json"' });
 
@@ -794,7 +3456,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should auto-detect content type from filename', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
                 flow[0].filename = "data.json";
 
                 __mockSend.mockResolvedValueOnce({ ETag: '"ct"' });
@@ -818,7 +3480,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should use explicit content type when provided', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
                 flow[0].contentType = "text/csv";
 
                 __mockSend.mockResolvedValueOnce({ ETag: '"ct"' });
@@ -842,7 +3504,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should set ACL when provided', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
                 flow[0].acl = "public-read";
 
                 __mockSend.mockResolvedValueOnce({ ETag: '"acl"' });
@@ -866,7 +3528,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should accept ACL from msg object', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 __mockSend.mockResolvedValueOnce({ ETag: '"acl"' });
 
@@ -889,30 +3551,599 @@ describe('epi-aws-s3 Nodes', () => {
             });
         });
 
-        describe('Error Handling', () => {
-            const getFlowWithCredentials = () => ({
-                flow: [{
-                    id: "n1",
-                    type: "epi-aws-s3-upload",
-                    name: "test",
-                    aws: "c1",
-                    bucket: "test-bucket",
-                    filename: "test.txt",
-                    wires: [["h1"]]
-                }, {
-                    id: "c1",
-                    type: "epi-aws-config"
-                }, {
-                    id: "h1",
-                    type: "helper"
-                }],
-                credentials: {
-                    c1: { accesskeyid: "test", secretaccesskey: "test" }
+        describe('Multipart Upload', () => {
+            const { Readable } = require("stream");
+            const MB = 1024 * 1024;
+
+            const getFlow = (settings) => buildFlow("epi-aws-s3-upload", Object.assign({
+                bucket: "test-bucket",
+                filename: "export.csv",
+                partSize: "5",
+                concurrency: "2"
+            }, settings));
+
+            const mockMultipart = (uploadPart) => {
+                __mockSend.mockImplementation(async (command, options) => {
+                    switch (command._type) {
+                        case 'CreateMultipartUpload':
+                            return { UploadId: "upload-1" };
+                        case 'UploadPart':
+                            return uploadPart ? uploadPart(command, options) : { ETag: `"etag-${command.PartNumber}"` };
+                        case 'CompleteMultipartUpload':
+                            return { ETag: '"final-3"', VersionId: "v1" };
+                        default:
+                            return {};
+                    }
+                });
+            };
+
+            const commandsOfType = (type) => __mockSend.mock.calls.map(call => call[0]).filter(command => command._type === type);
+
+            const expectUpload = (payload, check) => expectOutput(getFlow(), { payload: payload }, check);
+
+            afterEach(() => {
+                __mockSend.mockReset();
+            });
+
+            it('should upload content larger than the part size in parts', (done) => {
+                mockMultipart();
+                const payload = Buffer.alloc(11 * MB, 1);
+
+                expectUpload(payload, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload).toEqual({
+                        success: true,
+                        bucket: "test-bucket",
+                        key: "export.csv",
+                        etag: '"final-3"',
+                        versionId: "v1",
+                        parts: 3
+                    });
+                    expect(commandsOfType('CreateMultipartUpload')[0].ContentType).toBe("text/csv");
+                    expect(commandsOfType('UploadPart').map(command => command.Body.length)).toEqual([5 * MB, 5 * MB, MB]);
+                    expect(commandsOfType('CompleteMultipartUpload')[0].MultipartUpload.Parts).toEqual([
+                        { PartNumber: 1, ETag: '"etag-1"' },
+                        { PartNumber: 2, ETag: '"etag-2"' },
+                        { PartNumber: 3, ETag: '"etag-3"' }
+                    ]);
+                    expect(commandsOfType('PutObject')).toHaveLength(0);
+                })(done);
+            });
+
+            it('should upload a small stream in a single request', (done) => {
+                __mockSend.mockResolvedValue({ ETag: '"small"' });
+
+                expectUpload(Readable.from([Buffer.from("a,b\n"), "1,2\n"]), (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload.parts).toBeUndefined();
+                    const puts = commandsOfType('PutObject');
+                    expect(puts).toHaveLength(1);
+                    expect(puts[0].Body.toString()).toBe("a,b\n1,2\n");
+                })(done);
+            });
+
+            it('should upload a stream in parts as it is read', (done) => {
+                mockMultipart();
+                const chunks = [Buffer.alloc(3 * MB, 1), Buffer.alloc(3 * MB, 2), Buffer.alloc(3 * MB, 3)];
+
+                expectUpload(Readable.from(chunks), (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload.parts).toBe(2);
+                    const parts = commandsOfType('UploadPart');
+                    expect(parts.map(command => command.Body.length)).toEqual([5 * MB, 4 * MB]);
+                    expect(Buffer.concat(parts.map(command => command.Body)).equals(Buffer.concat(chunks))).toBe(true);
+                })(done);
+            });
+
+            it('should retry a failed part on its own', (done) => {
+                let failed = false;
+                mockMultipart((command) => {
+                    if (command.PartNumber === 2 && !failed) {
+                        failed = true;
+                        throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+                    }
+                    return { ETag: `"etag-${command.PartNumber}"` };
+                });
+
+                expectUpload(Buffer.alloc(11 * MB), (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.attempts).toBe(2);
+                    expect(commandsOfType('UploadPart').filter(command => command.PartNumber === 2)).toHaveLength(2);
+                    expect(commandsOfType('AbortMultipartUpload')).toHaveLength(0);
+                })(done);
+            });
+
+            it('should abort the upload when a part fails', (done) => {
+                mockMultipart((command) => {
+                    if (command.PartNumber === 2) {
+                        throw Object.assign(new Error("Access Denied"), { name: "AccessDenied", $metadata: { httpStatusCode: 403 } });
+                    }
+                    return { ETag: `"etag-${command.PartNumber}"` };
+                });
+
+                expectUpload(Buffer.alloc(11 * MB), (msg) => {
+                    expect(msg.payload).toBeNull();
+                    expect(msg.error.name).toBe("AccessDenied");
+                    expect(commandsOfType('UploadPart').filter(command => command.PartNumber === 2)).toHaveLength(1);
+                    expect(commandsOfType('CompleteMultipartUpload')).toHaveLength(0);
+                    const aborts = commandsOfType('AbortMultipartUpload');
+                    expect(aborts).toHaveLength(1);
+                    expect(aborts[0]).toMatchObject({ Bucket: "test-bucket", Key: "export.csv", UploadId: "upload-1" });
+                })(done);
+            });
+
+            it('should keep no more parts in flight than the concurrency', (done) => {
+                const events = [];
+                mockMultipart(async (command) => {
+                    events.push("start " + command.PartNumber);
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                    events.push("end " + command.PartNumber);
+                    return { ETag: `"etag-${command.PartNumber}"` };
+                });
+                async function* source() {
+                    for (let i = 1; i <= 4; i++) {
+                        events.push("read " + i);
+                        yield Buffer.alloc(5 * MB, i);
+                    }
+                }
+
+                expectOutput(getFlow({ concurrency: "1" }), { payload: source() }, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload.parts).toBe(4);
+                    // The first two parts are read to choose a multipart upload; the others wait for a free slot
+                    expect(events).toEqual([
+                        "read 1", "read 2", "start 1", "end 1", "start 2", "end 2",
+                        "read 3", "start 3", "end 3", "read 4", "start 4", "end 4"
+                    ]);
+                })(done);
+            });
+
+            it('should abort unfinished uploads on close once their parts in flight are done', (done) => {
+                const { flow, credentials } = getFlow();
+                const pendingParts = [];
+                mockMultipart(() => new Promise((resolve) => pendingParts.push(resolve)));
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    n1.receive({ payload: Buffer.alloc(11 * MB) });
+
+                    setTimeout(() => {
+                        const closed = n1.close();
+                        setTimeout(() => {
+                            try {
+                                // S3 may keep parts that finish after the abort
+                                expect(pendingParts).toHaveLength(2);
+                                expect(commandsOfType('AbortMultipartUpload')).toHaveLength(0);
+                            } catch(err) {
+                                return done(err);
+                            }
+                            pendingParts.forEach(resolve => resolve({ ETag: '"late"' }));
+                            closed.then(() => {
+                                expect(commandsOfType('UploadPart')).toHaveLength(2);
+                                expect(commandsOfType('CompleteMultipartUpload')).toHaveLength(0);
+                                expect(commandsOfType('AbortMultipartUpload')).toHaveLength(1);
+                                done();
+                            }).catch(done);
+                        }, 50);
+                    }, 50);
+                });
+            });
+
+            it('should cancel the parts in flight on close, then abort the upload', (done) => {
+                const { flow, credentials } = getFlow();
+                const cancelled = [];
+                mockMultipart((command, options) => new Promise((resolve, reject) => {
+                    options.abortSignal.addEventListener("abort", () => {
+                        cancelled.push(command.PartNumber);
+                        reject(Object.assign(new Error("Request aborted"), { name: "AbortError" }));
+                    });
+                }));
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    n1.receive({ payload: Buffer.alloc(11 * MB) });
+
+                    setTimeout(() => {
+                        n1.close().then(() => {
+                            expect(cancelled).toEqual([1, 2]);
+                            expect(commandsOfType('CompleteMultipartUpload')).toHaveLength(0);
+                            expect(commandsOfType('AbortMultipartUpload')).toHaveLength(1);
+                            done();
+                        }).catch(done);
+                    }, 50);
+                });
+            });
+
+            it('should abort an upload that is still being created on close', (done) => {
+                const { flow, credentials } = getFlow();
+                let create;
+                mockMultipart();
+                __mockSend.mockImplementationOnce(() => new Promise((resolve) => {
+                    create = resolve;
+                }));
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    n1.receive({ payload: Buffer.alloc(11 * MB) });
+
+                    setTimeout(() => {
+                        const closed = n1.close();
+                        create({ UploadId: "upload-1" });
+                        closed.then(() => {
+                            expect(commandsOfType('UploadPart')).toHaveLength(0);
+                            const aborts = commandsOfType('AbortMultipartUpload');
+                            expect(aborts).toHaveLength(1);
+                            expect(aborts[0].UploadId).toBe("upload-1");
+                            done();
+                        }).catch(done);
+                    }, 50);
+                });
+            });
+
+            it('should destroy a stalled source stream on close', (done) => {
+                const { flow, credentials } = getFlow();
+                mockMultipart();
+                // Two parts and the start of a third, then nothing more
+                const source = new Readable({ read() {} });
+                source.push(Buffer.alloc(11 * MB));
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    n1.receive({ payload: source });
+
+                    setTimeout(() => {
+                        n1.close().then(() => {
+                            expect(source.destroyed).toBe(true);
+                            expect(commandsOfType('UploadPart')).toHaveLength(2);
+                            expect(commandsOfType('CompleteMultipartUpload')).toHaveLength(0);
+                            expect(commandsOfType('AbortMultipartUpload')).toHaveLength(1);
+                            done();
+                        }).catch(done);
+                    }, 50);
+                });
+            });
+
+            it('should not wait for a stalled source that cannot be destroyed on close', (done) => {
+                const { flow, credentials } = getFlow();
+                mockMultipart();
+                async function* source() {
+                    yield Buffer.alloc(11 * MB);
+                    await new Promise(() => {});
                 }
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    n1.receive({ payload: source() });
+
+                    setTimeout(() => {
+                        n1.close().then(() => {
+                            expect(commandsOfType('UploadPart')).toHaveLength(2);
+                            expect(commandsOfType('AbortMultipartUpload')).toHaveLength(1);
+                            done();
+                        }).catch(done);
+                    }, 50);
+                });
+            });
+        });
+
+        describe('Encryption', () => {
+            const customerKey = Buffer.alloc(32, 7).toString("base64");
+
+            const getFlow = (settings, sseCustomerKey) => buildFlow("epi-aws-s3-upload", Object.assign({
+                bucket: "test-bucket",
+                filename: "meter.csv"
+            }, settings), {}, { n1: { sseCustomerKey: sseCustomerKey } });
+
+            const expectUpload = (settings, sseCustomerKey, payload, check) =>
+                expectOutput(getFlow(settings, sseCustomerKey), { payload: payload }, check);
+
+            afterEach(() => {
+                __mockSend.mockReset();
             });
 
+            it('should encrypt with S3 managed keys', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"', ServerSideEncryption: "AES256" });
+
+                expectUpload({ encryption: "AES256" }, undefined, "data", (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload.serverSideEncryption).toBe("AES256");
+                    const command = __mockSend.mock.calls[0][0];
+                    expect(command.ServerSideEncryption).toBe("AES256");
+                    expect(command.SSEKMSKeyId).toBeUndefined();
+                })(done);
+            });
+
+            it('should encrypt with a KMS key and a bucket key', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"', ServerSideEncryption: "aws:kms" });
+                const kmsKeyId = "arn:aws:kms:eu-west-1:123456789012:key/1234abcd-12ab-34cd-56ef-1234567890ab";
+
+                expectUpload({ encryption: "aws:kms", kmsKeyId: kmsKeyId, bucketKeyEnabled: true }, undefined, "data", (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(__mockSend.mock.calls[0][0]).toMatchObject({
+                        ServerSideEncryption: "aws:kms",
+                        SSEKMSKeyId: kmsKeyId,
+                        BucketKeyEnabled: true
+                    });
+                })(done);
+            });
+
+            it('should send a customer-provided key with every part', (done) => {
+                __mockSend.mockImplementation(async (command) => command._type === 'CreateMultipartUpload' ?
+                    { UploadId: "upload-1" } : { ETag: '"abc"' });
+
+                expectUpload({ encryption: "sse-c", partSize: "5" }, customerKey, Buffer.alloc(6 * 1024 * 1024), (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    const commands = __mockSend.mock.calls.map(call => call[0]);
+                    expect(commands.map(command => command._type)).toEqual(
+                        ['CreateMultipartUpload', 'UploadPart', 'UploadPart', 'CompleteMultipartUpload']);
+                    commands.forEach((command) => {
+                        expect(command.SSECustomerAlgorithm).toBe("AES256");
+                        expect(command.SSECustomerKey).toEqual(Buffer.alloc(32, 7));
+                        expect(command.ServerSideEncryption).toBeUndefined();
+                    });
+                })(done);
+            });
+
+            it('should accept a customer key of 32 characters', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"' });
+
+                expectUpload({ encryption: "sse-c" }, "0123456789abcdef0123456789abcdef", "data", (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(__mockSend.mock.calls[0][0].SSECustomerKey).toEqual(Buffer.from("0123456789abcdef0123456789abcdef"));
+                })(done);
+            });
+
+            it('should error without a valid customer key', (done) => {
+                const { flow, credentials } = getFlow({ encryption: "sse-c" }, "too-short");
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    let errorCalled = false;
+                    n1.error = () => { errorCalled = true; };
+
+                    n1.receive({ payload: "data" });
+
+                    setTimeout(() => {
+                        try {
+                            expect(errorCalled).toBe(true);
+                            expect(__mockSend).not.toHaveBeenCalled();
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    }, 100);
+                });
+            });
+        });
+
+        describe('Storage Class', () => {
+            const getFlow = (settings) => buildFlow("epi-aws-s3-upload", Object.assign({
+                bucket: "test-bucket",
+                filename: "telemetry.csv"
+            }, settings));
+
+            const expectUpload = (settings, input, check) =>
+                expectOutput(getFlow(settings), Object.assign({ payload: "data" }, input), check);
+
+            afterEach(() => {
+                __mockSend.mockReset();
+            });
+
+            it('should leave the storage class to the bucket by default', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"' });
+
+                expectUpload({}, {}, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(__mockSend.mock.calls[0][0].StorageClass).toBeUndefined();
+                    expect(msg.payload.storageClass).toBeUndefined();
+                })(done);
+            });
+
+            it('should upload with the configured storage class', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"' });
+
+                expectUpload({ storageClass: "STANDARD_IA" }, {}, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(__mockSend.mock.calls[0][0].StorageClass).toBe("STANDARD_IA");
+                    expect(msg.payload.storageClass).toBe("STANDARD_IA");
+                })(done);
+            });
+
+            it('should let msg.storageClass override the node', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"' });
+
+                expectUpload({ storageClass: "STANDARD_IA" }, { storageClass: "DEEP_ARCHIVE" }, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(__mockSend.mock.calls[0][0].StorageClass).toBe("DEEP_ARCHIVE");
+                    expect(msg.payload.storageClass).toBe("DEEP_ARCHIVE");
+                })(done);
+            });
+
+            it('should start multipart uploads with the storage class', (done) => {
+                __mockSend.mockImplementation(async (command) => command._type === 'CreateMultipartUpload' ?
+                    { UploadId: "upload-1" } : { ETag: '"abc"' });
+
+                expectUpload({ storageClass: "GLACIER_IR", partSize: "5" }, { payload: Buffer.alloc(6 * 1024 * 1024) }, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    const create = __mockSend.mock.calls.map(call => call[0]).find(command => command._type === 'CreateMultipartUpload');
+                    expect(create.StorageClass).toBe("GLACIER_IR");
+                    expect(msg.payload.storageClass).toBe("GLACIER_IR");
+                })(done);
+            });
+
+            it('should error on an unknown storage class', (done) => {
+                const { flow, credentials } = getFlow();
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    let errorCalled = false;
+                    n1.error = () => { errorCalled = true; };
+
+                    n1.receive({ payload: "data", storageClass: "COLD" });
+
+                    setTimeout(() => {
+                        try {
+                            expect(errorCalled).toBe(true);
+                            expect(__mockSend).not.toHaveBeenCalled();
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    }, 100);
+                });
+            });
+        });
+
+        describe('Metadata and Tags', () => {
+            const getFlow = () => buildFlow("epi-aws-s3-upload", {
+                bucket: "test-bucket",
+                filename: "data.json",
+                metadata: '{"site": "dublin", "firmware": "2.4.0"}',
+                tags: '{"retention": "1y"}'
+            });
+
+            it('should merge message metadata and tags over the node defaults', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"' });
+
+                expectOutput(getFlow(), {
+                    payload: "{}",
+                    metadata: { "firmware": "2.4.1", "device-id": 42 },
+                    tags: { area: "north / east" }
+                }, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    const command = __mockSend.mock.calls[0][0];
+                    expect(command.Metadata).toEqual({ "site": "dublin", "firmware": "2.4.1", "device-id": "42" });
+                    expect(command.Tagging).toBe("retention=1y&area=north%20%2F%20east");
+                })(done);
+            });
+
+            const expectRejected = (message) => (done) => {
+                const { flow, credentials } = getFlow();
+
+                helper.load(awsNode, flow, credentials, () => {
+                    const n1 = helper.getNode("n1");
+                    const h1 = helper.getNode("h1");
+                    let errorCalled = false;
+                    let outputReceived = false;
+                    n1.error = () => { errorCalled = true; };
+                    h1.on("input", () => { outputReceived = true; });
+
+                    n1.receive(Object.assign({ payload: "{}" }, message));
+
+                    setTimeout(() => {
+                        try {
+                            expect(errorCalled).toBe(true);
+                            expect(outputReceived).toBe(false);
+                            expect(__mockSend).not.toHaveBeenCalled();
+                            done();
+                        } catch(err) {
+                            done(err);
+                        }
+                    }, 100);
+                });
+            };
+
+            it('should reject metadata that is not an object', expectRejected({ metadata: "device=42" }));
+            it('should reject invalid metadata names', expectRejected({ metadata: { "device id": "42" } }));
+            it('should reject metadata values that are not printable ASCII', expectRejected({ metadata: { site: "D\u00fan Laoghaire" } }));
+            it('should reject metadata over 2KB', expectRejected({ metadata: { notes: "x".repeat(2048) } }));
+            it('should reject nested values', expectRejected({ tags: { site: { name: "dublin" } } }));
+            it('should reject more than 10 tags', expectRejected({
+                tags: Object.fromEntries(Array.from({ length: 10 }, (_, i) => ["tag" + i, "x"]))
+            }));
+            it('should reject tag keys in the aws: prefix', expectRejected({ tags: { "aws:site": "dublin" } }));
+            it('should reject tag values with invalid characters', expectRejected({ tags: { site: "dublin#1" } }));
+        });
+
+        describe('Local File Upload', () => {
+            const fs = require("fs");
+            const os = require("os");
+            const path = require("path");
+            let tempDir;
+            let localPath;
+
+            const getFlow = (afterUpload, movePath) => buildFlow("epi-aws-s3-upload", {
+                bucket: "test-bucket",
+                filename: "logs/meter.csv",
+                afterUpload: afterUpload,
+                movePath: movePath
+            });
+
+            const expectUpload = (afterUpload, movePath, msgLocalPath, check) =>
+                expectOutput(getFlow(afterUpload, movePath), { localPath: msgLocalPath || localPath, payload: "ignored" }, check);
+
+            beforeEach(() => {
+                tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "epi-aws-"));
+                localPath = path.join(tempDir, "meter.csv");
+                fs.writeFileSync(localPath, "time,kwh\n1,2\n");
+            });
+
+            afterEach(() => {
+                fs.rmSync(tempDir, { recursive: true, force: true });
+            });
+
+            it('should stream the local file and keep it', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"' });
+
+                expectUpload(undefined, undefined, undefined, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload).toMatchObject({ success: true, key: "logs/meter.csv", localPath: localPath });
+                    expect(msg.payload.movedTo).toBeUndefined();
+                    const command = __mockSend.mock.calls[0][0];
+                    expect(command.Body.toString()).toBe("time,kwh\n1,2\n");
+                    expect(command.ContentType).toBe("text/csv");
+                    expect(fs.existsSync(localPath)).toBe(true);
+                })(done);
+            });
+
+            it('should delete the local file after the upload', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"' });
+
+                expectUpload("delete", undefined, undefined, (msg) => {
+                    expect(msg.error).toBeUndefined();
+                    expect(fs.existsSync(localPath)).toBe(false);
+                })(done);
+            });
+
+            it('should move the local file to a folder after the upload', (done) => {
+                __mockSend.mockResolvedValueOnce({ ETag: '"abc"' });
+                const movePath = path.join(tempDir, "uploaded");
+
+                expectUpload("move", movePath, undefined, (msg) => {
+                    const movedTo = path.join(movePath, "meter.csv");
+                    expect(msg.error).toBeUndefined();
+                    expect(msg.payload.movedTo).toBe(movedTo);
+                    expect(fs.existsSync(localPath)).toBe(false);
+                    expect(fs.readFileSync(movedTo, "utf8")).toBe("time,kwh\n1,2\n");
+                })(done);
+            });
+
+            it('should leave the local file in place if the upload fails', (done) => {
+                const error = new Error("Access Denied");
+                error.$metadata = { httpStatusCode: 403 };
+                __mockSend.mockRejectedValueOnce(error);
+
+                expectUpload("delete", undefined, undefined, (msg) => {
+                    expect(msg.payload).toBeNull();
+                    expect(msg.error).toBe(error);
+                    expect(fs.existsSync(localPath)).toBe(true);
+                })(done);
+            });
+
+            it('should send an error if the local file does not exist', (done) => {
+                expectUpload(undefined, undefined, "/nonexistent/meter.csv", (msg) => {
+                    expect(msg.payload).toBeNull();
+                    expect(msg.error.code).toBe("ENOENT");
+                    expect(__mockSend).not.toHaveBeenCalled();
+                })(done);
+            });
+        });
+
+        describe('Error Handling', () => {
+            const getFlow = () => buildFlow("epi-aws-s3-upload", { bucket: "test-bucket", filename: "test.txt" });
+
             it('should send error message on 403 (access denied)', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 const error = new Error("AccessDenied");
                 error.$metadata = { httpStatusCode: 403 };
@@ -937,7 +4168,7 @@ describe('epi-aws-s3 Nodes', () => {
             });
 
             it('should send error message on 404 (bucket not found)', (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 const error = new Error("NoSuchBucket");
                 error.$metadata = { httpStatusCode: 404 };
@@ -963,7 +4194,7 @@ describe('epi-aws-s3 Nodes', () => {
         });
 
         describe('Cleanup', () => {
-            it('should destroy S3Client on node close', (done) => {
+            it('should not destroy the shared S3Client on node close', (done) => {
                 const flow = [{
                     id: "n1",
                     type: "epi-aws-s3-upload",
@@ -982,7 +4213,7 @@ describe('epi-aws-s3 Nodes', () => {
                     const n1 = helper.getNode("n1");
 
                     n1.close().then(() => {
-                        expect(__mockDestroy).toHaveBeenCalled();
+                        expect(__mockDestroy).not.toHaveBeenCalled();
                         done();
                     }).catch(done);
                 });
@@ -992,25 +4223,7 @@ describe('epi-aws-s3 Nodes', () => {
 
     // ==================== CONTENT TYPE DETECTION TESTS ====================
     describe('Content Type Detection', () => {
-        const getFlowWithCredentials = () => ({
-            flow: [{
-                id: "n1",
-                type: "epi-aws-s3-upload",
-                name: "test",
-                aws: "c1",
-                bucket: "test-bucket",
-                wires: [["h1"]]
-            }, {
-                id: "c1",
-                type: "epi-aws-config"
-            }, {
-                id: "h1",
-                type: "helper"
-            }],
-            credentials: {
-                c1: { accesskeyid: "test", secretaccesskey: "test" }
-            }
-        });
+        const getFlow = () => buildFlow("epi-aws-s3-upload", { bucket: "test-bucket" });
 
         const testCases = [
             { ext: "txt", expected: "text/plain" },
@@ -1031,7 +4244,7 @@ describe('epi-aws-s3 Nodes', () => {
 
         testCases.forEach(({ ext, expected }) => {
             it(`should detect ${expected} for .${ext} files`, (done) => {
-                const { flow, credentials } = getFlowWithCredentials();
+                const { flow, credentials } = getFlow();
 
                 __mockSend.mockResolvedValueOnce({ ETag: '"test"' });
 